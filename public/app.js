@@ -74,6 +74,8 @@ function renderMatches(matches = []) {
       title = `${match.dependency} (${match.section})  requires review`;
     } else if (match.kind === 'lock-installed') {
       title = `${match.name}@${match.version}  installed`;
+    } else if (match.kind === 'lock-integrity') {
+      title = `${match.name}@${match.version}  malicious tarball digest`;
     }
 
     heading.textContent = title;
@@ -92,6 +94,30 @@ function renderMatches(matches = []) {
     if (match.pattern) {
       entries.push(['Pattern', match.pattern]);
     }
+    if (match.descriptor) {
+      entries.push(['Descriptor', match.descriptor]);
+    }
+    if (Array.isArray(match.workspaces) && match.workspaces.length) {
+      entries.push(['Required by', match.workspaces.join(', ')]);
+    }
+    if (match.integrity) {
+      entries.push(['Integrity', match.knownAs ? `${match.integrity} (known-malicious ${match.knownAs})` : match.integrity]);
+    }
+    if (match.advisory) {
+      const { campaign, severity, firstSeen, published, advisories, notes } = match.advisory;
+      if (campaign) entries.push(['Campaign', campaign]);
+      if (severity) entries.push(['Advisory severity', severity]);
+      if (firstSeen) entries.push(['First seen', firstSeen]);
+      if (published) entries.push(['Published', published]);
+      if (advisories) entries.push(['Advisories', advisories.join(', ')]);
+      if (notes) entries.push(['Notes', notes]);
+    }
+    if (Array.isArray(match.feeds) && match.feeds.length) {
+      entries.push(['Flagged by', match.feeds.join(', ')]);
+    }
+    if (Array.isArray(match.dependencyPaths) && match.dependencyPaths.length) {
+      entries.push(['Dependency paths', match.dependencyPaths.join('; ')]);
+    }
 
     entries.forEach(([term, value]) => {
       const dt = document.createElement('dt');
@@ -105,6 +131,13 @@ function renderMatches(matches = []) {
   });
 }
 
+function describeDatasetAge(meta = {}) {
+  if (!meta.asOf) return null;
+  const cacheNote = meta.cache ? `, cache: ${meta.cache}` : '';
+  const staleNote = meta.stale ? ' - STALE, refresh the feed before trusting a clean result' : '';
+  return `Dataset age: ${meta.age} (as of ${meta.asOf}${cacheNote})${staleNote}`;
+}
+
 function describeDataset(meta = {}) {
   if (!meta.source) return 'Bundled dataset';
   if (meta.source === 'remote-default') {
@@ -116,6 +149,9 @@ function describeDataset(meta = {}) {
   if (meta.source === 'local-fallback') {
     return `Fallback to bundled list (failed to fetch ${meta.fallbackFrom})`;
   }
+  if (meta.source === 'merged') {
+    return `Merged feeds: ${meta.feeds.map((feed) => feed.label).join(', ')}`;
+  }
   return 'Bundled dataset';
 }
 
@@ -125,7 +161,7 @@ form.addEventListener('submit', async (event) => {
 
   const file = targetInput.files?.[0];
   if (!file) {
-    alert('Choose a package.json or package-lock.json first.');
+    alert('Choose a package.json or lockfile first.');
     return;
   }
 
@@ -159,12 +195,19 @@ form.addEventListener('submit', async (event) => {
       `Dataset: ${describeDataset(payload.dataset)} (${payload.dataset?.entries ?? 0} entries)`
     ];
 
+    const ageLine = describeDatasetAge(payload.dataset);
+    if (ageLine) {
+      summaryLines.push(ageLine);
+    }
     if (payload.dataset?.malformed) {
       summaryLines.push(`Ignored malformed dataset entries: ${payload.dataset.malformed}`);
     }
     if (payload.dataset?.error || payload.dataset?.lastError) {
       summaryLines.push(`Dataset fetch issue: ${payload.dataset.error || payload.dataset.lastError}`);
     }
+    (payload.dataset?.failed || []).forEach((failure) => {
+      summaryLines.push(`Feed ${failure.label} failed to load: ${failure.error}`);
+    });
 
     summaryLines.push(`Indicators found: ${payload.matches?.length ?? 0}`);
 
@@ -2,10 +2,19 @@
 const fs = require("fs/promises");
 const path = require("path");
 
-const { DEFAULT_REMOTE_DATASET_URL } = require("../src/config");
+const { DEFAULT_REMOTE_DATASET_URL, TRUSTED_KEYS_PATH } = require("../src/config");
 const { parseColonDelimitedDataset } = require("../src/lib/scanner");
+const { mergeSeverity } = require("../src/lib/dataset");
+const {
+  loadTrustedKeys,
+  readSignedEnvelope,
+  checkFeedSignature,
+  fetchDetachedSignature,
+  readDetachedSignature
+} = require("../src/lib/feed-signature");
 
 const TARGET_PATH = path.join(__dirname, "..", "data", "compromised-packages.json");
+const META_PATH = TARGET_PATH.replace(/\.json$/, ".meta.json");
 
 async function readSource(source) {
   if (/^https?:/i.test(source)) {
@@ -38,38 +47,104 @@ function normalizeEntries(raw, label) {
   throw new Error(`Unable to parse dataset from ${label}; expected JSON array or colon-delimited list.`);
 }
 
+const ADVISORY_FIELDS = ["campaign", "firstSeen", "published", "notes"];
+
+// Entries that only carry tarball digests are kept: the scanners match them by integrity. Advisory fields
+// are merged like multi-feed runs merge them: the first value wins, except advisory URLs, which accumulate.
 function dedupe(entries) {
   const map = new Map();
   for (const entry of entries) {
     if (!entry || typeof entry !== "object") continue;
-    const { name, versions } = entry;
-    if (!name || !Array.isArray(versions)) continue;
+    const { name } = entry;
+    const versions = Array.isArray(entry.versions) ? entry.versions : [];
+    const digests = [].concat(entry.integrity ?? []).filter((digest) => typeof digest === "string" && digest.trim());
+    if (!name || (!Array.isArray(entry.versions) && !digests.length)) continue;
     if (!map.has(name)) {
-      map.set(name, new Set());
+      map.set(name, { versions: new Set(), integrity: new Set(), advisory: {} });
     }
+    const target = map.get(name);
     for (const version of versions) {
       if (typeof version === "string") {
         const trimmed = version.trim();
         if (trimmed) {
-          map.get(name).add(trimmed);
+          target.versions.add(trimmed);
         }
       }
     }
+    for (const digest of digests) {
+      target.integrity.add(digest.trim());
+    }
+    for (const field of ADVISORY_FIELDS) {
+      if (target.advisory[field] === undefined && entry[field] !== undefined) target.advisory[field] = entry[field];
+    }
+    const severity = mergeSeverity(target.advisory.severity, entry.severity);
+    if (severity !== undefined) target.advisory.severity = severity;
+    const urls = [].concat(entry.advisories ?? []);
+    if (urls.length) {
+      target.advisory.advisories = Array.from(new Set([...(target.advisory.advisories || []), ...urls]));
+    }
   }
   return Array.from(map.entries())
-    .map(([name, versions]) => ({ name, versions: Array.from(versions).sort() }))
+    .map(([name, { versions, integrity, advisory }]) => ({
+      name,
+      versions: Array.from(versions).sort(),
+      ...(integrity.size ? { integrity: Array.from(integrity) } : {}),
+      ...advisory
+    }))
     .sort((a, b) => a.name.localeCompare(b.name));
 }
 
+function parseArgs(argv) {
+  const options = { requireSigned: false, trustedKeysPath: TRUSTED_KEYS_PATH, source: null };
+  const args = argv.slice(2);
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === "--require-signed") {
+      options.requireSigned = true;
+    } else if (args[i] === "--trusted-keys") {
+      options.trustedKeysPath = args[++i];
+    } else if (!options.source) {
+      options.source = args[i];
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+// With trusted keys configured (or --require-signed) the snapshot is only rewritten from a validly signed feed.
+async function verifySource(raw, source, label, options) {
+  const keys = await loadTrustedKeys(options.trustedKeysPath);
+  if (!keys.length && !options.requireSigned) {
+    console.warn(`No trusted keys in ${options.trustedKeysPath}; writing ${label} without signature verification.`);
+    return null;
+  }
+  const loadSignature = /^https?:/i.test(source)
+    ? () => fetchDetachedSignature(source)
+    : () => readDetachedSignature(path.resolve(source));
+  const signature = await checkFeedSignature(raw, loadSignature, keys);
+  if (signature.status !== "valid") {
+    throw new Error(`Refusing to update the bundled dataset: ${label} is ${signature.status === "invalid" ? "signed with an untrusted or invalid signature" : "not signed"}.`);
+  }
+  return signature;
+}
+
 async function main() {
-  const source = process.argv[2] || DEFAULT_REMOTE_DATASET_URL;
+  const options = parseArgs(process.argv);
+  const source = options.source || DEFAULT_REMOTE_DATASET_URL;
   const label = /^https?:/i.test(source) ? source : path.resolve(source);
   const raw = await readSource(source);
-  const entries = dedupe(normalizeEntries(raw, label));
+  const signature = await verifySource(raw, source, label, options);
+  const envelope = readSignedEnvelope(raw);
+  const entries = dedupe(normalizeEntries(envelope ? envelope.payload : raw, label));
   const totalVersions = entries.reduce((acc, item) => acc + item.versions.length, 0);
   const output = JSON.stringify(entries, null, 4) + "\n";
   await fs.writeFile(TARGET_PATH, output, "utf8");
-  console.log(`Wrote ${entries.length} packages / ${totalVersions} versions from ${label}`);
+  const meta = { generatedAt: new Date().toISOString(), source: label };
+  if (signature) {
+    meta.signature = { keyId: signature.keyId, format: signature.format };
+  }
+  await fs.writeFile(META_PATH, JSON.stringify(meta, null, 4) + "\n", "utf8");
+  console.log(`Wrote ${entries.length} packages / ${totalVersions} versions from ${label}${signature ? ` (signed by ${signature.keyId})` : ""}`);
 }
 
 main().catch((err) => {
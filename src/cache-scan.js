@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+const path = require('path');
+const { buildDataset, formatAdvisory } = require('./lib/scanner');
+const { resolveDatasets } = require('./lib/dataset');
+const { loadRuleSet, describeRule } = require('./lib/rule-packs');
+const { DEFAULT_NPM_CACHE_DIR } = require('./lib/npm-cache');
+const { auditNpmCache, purgeCacheEntries, formatCacheIssue } = require('./lib/cache-audit');
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const options = {
+    flags: new Set(),
+    format: 'text',
+    datasets: [],
+    rules: []
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    const token = args[i];
+    switch (token) {
+      case '-d':
+      case '--data':
+        options.datasets.push(args[++i]);
+        break;
+      case '--json':
+        options.format = 'json';
+        break;
+      case '--offline':
+        options.offline = true;
+        break;
+      case '--max-age':
+        options.maxAge = args[++i];
+        break;
+      case '--require-signed':
+        options.requireSigned = true;
+        break;
+      case '--trusted-keys':
+        options.trustedKeysPath = args[++i];
+        break;
+      case '--quiet':
+      case '-q':
+        options.quiet = true;
+        break;
+      case '--rules':
+        options.rules.push(args[++i]);
+        break;
+      case '--metadata-only':
+        options.metadataOnly = true;
+        break;
+      case '--purge':
+        options.purge = true;
+        break;
+      case '--help':
+      case '-h':
+        options.flags.add('help');
+        break;
+      default:
+        if (!token.startsWith('-') && !options.cacheDir) {
+          options.cacheDir = token;
+        } else {
+          throw new Error(`Unknown argument: ${token}`);
+        }
+    }
+  }
+  return options;
+}
+
+function showHelp() {
+  console.log(`Usage: node src/cache-scan.js [options] [cache directory]
+
+Audits npm's content-addressable cache (default: ${DEFAULT_NPM_CACHE_DIR}) for tarballs of
+compromised package versions and for archives that contain known payload files.
+
+Options:
+  -d, --data <path|url>     Override dataset JSON (file path or URL); repeat to merge several feeds,
+                            optionally labelled as <label>=<path|url>
+      --json                Emit JSON report instead of text
+  -q, --quiet               Suppress dataset fetch warnings
+      --offline             Use the cached dataset only; never fetch
+      --max-age <age>       Reuse a cached feed younger than this (e.g. 30m, 6h; default 1h)
+      --require-signed      Refuse feeds without a valid Ed25519 signature from a trusted key
+      --trusted-keys <path> Trusted public keys (default: ~/.config/shai-hulud/trusted-keys.json)
+      --rules <path>        Layer a JSON/YAML rule pack over the built-in payload hashes (repeatable)
+      --metadata-only       Match names, versions and integrity only; do not hash archive contents
+      --purge               Remove the flagged entries and their content from the cache
+  -h, --help                Show help
+
+Examples:
+  node src/cache-scan.js
+  node src/cache-scan.js --purge
+  node src/cache-scan.js --json /mnt/ci-cache/_cacache`);
+}
+
+function formatCacheReport(report) {
+  const lines = [];
+  lines.push(`npm cache: ${report.cacheDir}`);
+  lines.push(`Dataset entries: ${report.dataset.entries}${report.dataset.malformed ? ` (ignored ${report.dataset.malformed} malformed)` : ''}`);
+  const hashedNote = report.stats.tarballsRead ? `, ${report.stats.tarballsRead} archive(s) hashed` : '';
+  lines.push(`Cached tarballs: ${report.stats.tarballs} of ${report.stats.entries} index entries${hashedNote}`);
+  lines.push(`Findings: ${report.findings.length}`);
+  lines.push('');
+
+  if (!report.findings.length) {
+    lines.push('No compromised packages were found in the npm cache.');
+    return lines.join('\n');
+  }
+
+  lines.push('HIGH RISK cached packages:');
+  for (const finding of report.findings) {
+    lines.push(`  - ${finding.message}`);
+    lines.push(`      key: ${finding.key}`);
+    if (finding.match?.advisory) {
+      lines.push(`      advisory: ${formatAdvisory(finding.match.advisory)}`);
+    }
+  }
+  lines.push('');
+  if (report.purged) {
+    lines.push(`Purged ${report.purged.length} cache entr${report.purged.length === 1 ? 'y' : 'ies'}. Run \`npm cache verify\` to compact the index.`);
+  } else {
+    lines.push('Recommended next steps: rerun with --purge (or `npm cache clean --force`) so these versions cannot be reinstalled from the cache.');
+  }
+  return lines.join('\n');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+    return;
+  }
+
+  if (options.flags.has('help')) {
+    showHelp();
+    return;
+  }
+
+  const cacheDir = path.resolve(options.cacheDir || DEFAULT_NPM_CACHE_DIR);
+  let datasetResult;
+  let ruleSet;
+  try {
+    datasetResult = await resolveDatasets(options.datasets, {
+      quiet: options.quiet,
+      ...(options.offline ? { offline: true } : {}),
+      ...(options.maxAge ? { maxAge: options.maxAge } : {}),
+      ...(options.requireSigned ? { requireSigned: true } : {}),
+      ...(options.trustedKeysPath ? { trustedKeysPath: options.trustedKeysPath } : {})
+    });
+    ruleSet = await loadRuleSet(options.rules);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+    return;
+  }
+
+  const dataset = buildDataset(datasetResult.entries);
+  const audit = await auditNpmCache(cacheDir, dataset.map, { ruleSet, inspectContents: !options.metadataOnly });
+  const purged = options.purge ? await purgeCacheEntries(cacheDir, audit.issues) : null;
+
+  const output = {
+    scannedAt: new Date().toISOString(),
+    cacheDir,
+    dataset: {
+      ...datasetResult.meta,
+      identifier: datasetResult.identifier,
+      entries: datasetResult.entries.length,
+      malformed: dataset.malformed.length
+    },
+    findings: audit.issues.map((issue) => ({
+      severity: 'high',
+      type: 'npm-cache',
+      message: formatCacheIssue(issue),
+      key: issue.key,
+      name: issue.name,
+      version: issue.version,
+      url: issue.url,
+      integrity: issue.integrity,
+      cachedAt: issue.cachedAt,
+      match: issue.match,
+      payloads: issue.payloads.map((payload) => ({ path: payload.path, hash: payload.hash, rule: describeRule(payload.rule) }))
+    })),
+    ...(purged ? { purged } : {}),
+    stats: { entries: audit.entries, tarballs: audit.tarballs, tarballsRead: audit.tarballsRead }
+  };
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    console.log(formatCacheReport(output));
+  }
+
+  if (output.findings.length) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(2);
+  });
+}
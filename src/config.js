@@ -1,5 +1,41 @@
+const os = require('os');
+const path = require('path');
+
 const DEFAULT_REMOTE_DATASET_URL = process.env.DEFAULT_DATASET_URL || 'https://raw.githubusercontent.com/Cobenian/shai-hulud-detect/main/compromised-packages.txt';
+const DATASET_CACHE_DIR = process.env.SHAI_HULUD_CACHE_DIR || path.join(os.homedir(), '.cache', 'shai-hulud');
+const SCAN_CACHE_DIR = DATASET_CACHE_DIR;
+const DATASET_MAX_AGE = process.env.DATASET_MAX_AGE || '1h';
+const DATASET_OFFLINE = process.env.DATASET_OFFLINE === '1' || process.env.DATASET_OFFLINE === 'true';
+const DATASET_REQUIRE_SIGNED = process.env.DATASET_REQUIRE_SIGNED === '1' || process.env.DATASET_REQUIRE_SIGNED === 'true';
+const TRUSTED_KEYS_PATH = process.env.SHAI_HULUD_TRUSTED_KEYS || path.join(os.homedir(), '.config', 'shai-hulud', 'trusted-keys.json');
+const DEFAULT_OBFUSCATION_THRESHOLD = 60;
+
+// Obfuscation scores run from 0 to 100; anything else would silently disable or flood the finding.
+function parseObfuscationThreshold(value) {
+  const threshold = typeof value === 'string' && value.trim() ? Number(value) : NaN;
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 100 ? threshold : null;
+}
+
+function readObfuscationThreshold(value) {
+  if (!value) return DEFAULT_OBFUSCATION_THRESHOLD;
+  const threshold = parseObfuscationThreshold(value);
+  if (threshold === null) {
+    console.warn(`Ignoring SHAI_HULUD_OBFUSCATION_THRESHOLD=${value}: expected a score between 0 and 100; using ${DEFAULT_OBFUSCATION_THRESHOLD}.`);
+    return DEFAULT_OBFUSCATION_THRESHOLD;
+  }
+  return threshold;
+}
+
+const OBFUSCATION_THRESHOLD = readObfuscationThreshold(process.env.SHAI_HULUD_OBFUSCATION_THRESHOLD);
 
 module.exports = {
-  DEFAULT_REMOTE_DATASET_URL
+  DEFAULT_REMOTE_DATASET_URL,
+  DATASET_CACHE_DIR,
+  DATASET_MAX_AGE,
+  DATASET_OFFLINE,
+  DATASET_REQUIRE_SIGNED,
+  TRUSTED_KEYS_PATH,
+  OBFUSCATION_THRESHOLD,
+  SCAN_CACHE_DIR,
+  parseObfuscationThreshold
 };
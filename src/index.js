@@ -3,16 +3,23 @@ const path = require('path');
 const readline = require('readline');
 const {
   DEFAULT_DATASET_PATH,
-  loadJsonFile,
+  loadTextFile,
   buildDataset,
-  scanParsedJson,
+  scanContent,
   formatTextReport
 } = require('./lib/scanner');
-const { resolveDataset, isHttpUrl } = require('./lib/dataset');
+const { resolveDatasets, isHttpUrl } = require('./lib/dataset');
+const { determineManifestSeverity, formatManifestMessage, scanProject } = require('./lib/project-scanner');
+const { buildSarifLog } = require('./lib/sarif');
+const { createPackumentSource, suggestFix } = require('./lib/remediation');
+const { isTarballName } = require('./lib/tarball');
+
+const OUTPUT_FORMATS = new Set(['text', 'json', 'sarif']);
+const LOCKFILE_MATCH_KINDS = new Set(['lock-installed', 'lock-integrity']);
 
 function parseArgs(argv) {
   const args = argv.slice(2);
-  const options = { flags: new Set() };
+  const options = { flags: new Set(), format: 'text', datasets: [] };
   for (let i = 0; i < args.length; i += 1) {
     const token = args[i];
     switch (token) {
@@ -22,15 +29,43 @@ function parseArgs(argv) {
         break;
       case '-d':
       case '--data':
-        options.dataset = args[++i];
+        options.datasets.push(args[++i]);
         break;
       case '--json':
-        options.flags.add('json');
+        options.format = 'json';
+        break;
+      case '--format':
+        options.format = args[++i];
+        if (!OUTPUT_FORMATS.has(options.format)) {
+          throw new Error(`Unknown format: ${options.format} (expected text, json or sarif)`);
+        }
+        break;
+      case '--offline':
+        options.offline = true;
+        break;
+      case '--max-age':
+        options.maxAge = args[++i];
+        break;
+      case '--require-signed':
+        options.requireSigned = true;
+        break;
+      case '--trusted-keys':
+        options.trustedKeysPath = args[++i];
         break;
       case '--quiet':
       case '-q':
         options.flags.add('quiet');
         break;
+      case '--suggest-fixes':
+        options.flags.add('suggest-fixes');
+        break;
+      case '--packuments':
+        options.flags.add('suggest-fixes');
+        options.packumentDir = args[++i];
+        break;
+      case '--npm-cache':
+        options.npmCacheDir = args[++i];
+        break;
       case '--help':
       case '-h':
         options.flags.add('help');
@@ -53,6 +88,23 @@ async function promptForPath(question) {
   return answer;
 }
 
+// Tarballs get the project scanner's file checks; each finding becomes a `package-file` match.
+async function scanTarballFile(filePath, datasetMap) {
+  const projectReport = await scanProject(filePath, datasetMap);
+  return {
+    type: 'package-tarball',
+    findings: projectReport.findings,
+    matches: projectReport.findings.map((finding) => ({
+      kind: 'package-file',
+      severity: finding.severity,
+      type: finding.type,
+      path: finding.path,
+      message: finding.message,
+      ...(finding.details ? { details: finding.details } : {})
+    }))
+  };
+}
+
 async function main() {
   let options;
   try {
@@ -64,13 +116,13 @@ async function main() {
   }
 
   if (options.flags.has('help')) {
-    console.log(`Usage: node src/index.js [options]\n\nOptions:\n  -f, --file <path>      package.json or package-lock.json to scan\n  -d, --data <path|url>  override dataset JSON (file path or URL)\n      --json              emit JSON report instead of text\n  -q, --quiet            suppress non-critical output\n  -h, --help             show help`);
+    console.log(`Usage: node src/index.js [options]\n\nOptions:\n  -f, --file <path>      package.json, lockfile or package .tgz to scan\n  -d, --data <path|url>  override dataset JSON (file path or URL); repeat to merge feeds, optionally as label=<path|url>\n      --json              emit JSON report instead of text\n      --format <fmt>      output format: text, json or sarif\n      --offline           use the cached dataset only; never fetch\n      --max-age <age>     reuse a cached feed younger than this (e.g. 30m, 6h; default 1h)\n      --require-signed    refuse feeds without a valid Ed25519 signature\n      --trusted-keys <p>  trusted public keys (default: ~/.config/shai-hulud/trusted-keys.json)\n      --suggest-fixes     propose the nearest safe version for each match\n      --packuments <dir>  read <name>.json packuments from this directory\n      --npm-cache <dir>   npm cache to read packuments from (default: ~/.npm/_cacache)\n  -q, --quiet            suppress non-critical output\n  -h, --help             show help`);
     return;
   }
 
   let targetPath = options.file;
   if (!targetPath) {
-    targetPath = await promptForPath('Path to package.json or package-lock.json: ');
+    targetPath = await promptForPath('Path to package.json, lockfile or .tgz: ');
   }
   if (!targetPath) {
     console.error('No target file provided.');
@@ -78,10 +130,19 @@ async function main() {
     return;
   }
 
-  const { data: packageData, absolute: resolvedTarget } = await loadJsonFile(targetPath, 'target file');
+  const tarball = isTarballName(targetPath);
+  const { raw: targetContent, absolute: resolvedTarget } = tarball
+    ? { raw: null, absolute: path.resolve(targetPath) }
+    : await loadTextFile(targetPath, 'target file');
   let datasetResult;
   try {
-    datasetResult = await resolveDataset(options.dataset, options.flags.has('quiet'));
+    datasetResult = await resolveDatasets(options.datasets, {
+      quiet: options.flags.has('quiet'),
+      ...(options.offline ? { offline: true } : {}),
+      ...(options.maxAge ? { maxAge: options.maxAge } : {}),
+      ...(options.requireSigned ? { requireSigned: true } : {}),
+      ...(options.trustedKeysPath ? { trustedKeysPath: options.trustedKeysPath } : {})
+    });
   } catch (err) {
     console.error(err.message);
     process.exit(2);
@@ -93,7 +154,19 @@ async function main() {
     console.warn(`Warning: dataset has ${dataset.malformed.length} malformed entr${dataset.malformed.length === 1 ? 'y' : 'ies'} that were ignored.`);
   }
 
-  const result = scanParsedJson(packageData, dataset.map);
+  const result = tarball
+    ? await scanTarballFile(resolvedTarget, dataset.map)
+    : scanContent(targetContent, dataset.map, resolvedTarget);
+  if (options.flags.has('suggest-fixes')) {
+    const packumentSource = createPackumentSource({
+      packumentDir: options.packumentDir && path.resolve(options.packumentDir),
+      ...(options.npmCacheDir ? { npmCacheDir: path.resolve(options.npmCacheDir) } : {})
+    });
+    for (const match of result.matches) {
+      const remediation = await suggestFix(match, dataset.map, packumentSource);
+      if (remediation) match.remediation = remediation;
+    }
+  }
   const report = {
     scannedAt: new Date().toISOString(),
     targetPath: resolvedTarget,
@@ -105,7 +178,17 @@ async function main() {
     matches: result.matches
   };
 
-  if (options.flags.has('json')) {
+  if (options.format === 'sarif') {
+    const findings = result.findings || result.matches.map((match) => ({
+      severity: determineManifestSeverity(match),
+      type: LOCKFILE_MATCH_KINDS.has(match.kind) ? 'lockfile' : 'manifest',
+      message: formatManifestMessage(match),
+      path: path.basename(resolvedTarget),
+      details: match
+    }));
+    const sarif = await buildSarifLog({ targetPath: path.dirname(resolvedTarget), scannedAt: report.scannedAt, findings });
+    console.log(JSON.stringify(sarif, null, 2));
+  } else if (options.format === 'json') {
     console.log(JSON.stringify(report, null, 2));
   } else {
     console.log(formatTextReport(report));
@@ -0,0 +1,126 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const BASELINE_FILENAME = '.shai-hulud-baseline.json';
+const BASELINE_VERSION = 1;
+const DEFAULT_SUPPRESSION_DAYS = 90;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function fingerprintFinding(finding) {
+  const details = finding.details || {};
+  // Manifest/lockfile messages embed the matching version list, which grows with the dataset,
+  // so key those findings on the dependency itself rather than on the message text. Lifecycle
+  // findings key on the script and the command segment that triggered them.
+  const subject = details.segment
+    ? [details.script, details.source, details.segment]
+    : finding.details
+    ? [details.kind, details.target || details.name || details.dependency, details.selector || details.version, details.section || details.location, details.pattern]
+    : [finding.message];
+  const parts = [finding.type, String(finding.path || '').split(path.sep).join('/'), ...subject];
+  return crypto.createHash('sha256').update(parts.map((part) => part ?? '').join('\u0000')).digest('hex').slice(0, 32);
+}
+
+function parseExpiry(value) {
+  if (value == null || value === '') return null;
+  const timestamp = Date.parse(DATE_ONLY.test(value) ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(timestamp) ? NaN : timestamp;
+}
+
+function isSuppressionExpired(entry, now = Date.now()) {
+  const expiry = parseExpiry(entry.expires);
+  return expiry !== null && expiry < now;
+}
+
+async function loadBaseline(baselinePath) {
+  const absolute = path.resolve(baselinePath);
+  let raw;
+  try {
+    raw = await fsp.readFile(absolute, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { path: absolute, exists: false, suppressions: [] };
+    }
+    throw err;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Failed to parse baseline ${absolute}: ${err.message}`);
+  }
+  const suppressions = Array.isArray(parsed?.suppressions) ? parsed.suppressions : [];
+  for (const entry of suppressions) {
+    if (!entry || typeof entry.fingerprint !== 'string') {
+      throw new Error(`Baseline ${absolute} contains an entry without a fingerprint.`);
+    }
+    if (Number.isNaN(parseExpiry(entry.expires))) {
+      throw new Error(`Baseline ${absolute} has an invalid expiry for ${entry.fingerprint}: ${entry.expires}`);
+    }
+  }
+  return { path: absolute, exists: true, suppressions };
+}
+
+function createBaselineMatcher(baseline, now = Date.now()) {
+  const index = new Map((baseline?.suppressions || []).map((entry) => [entry.fingerprint, entry]));
+  return (finding) => {
+    const entry = index.get(finding.fingerprint);
+    if (!entry) return null;
+    return {
+      justification: entry.justification ?? null,
+      owner: entry.owner ?? null,
+      expires: entry.expires ?? null,
+      expired: isSuppressionExpired(entry, now)
+    };
+  };
+}
+
+function defaultExpiry(now = Date.now()) {
+  return new Date(now + DEFAULT_SUPPRESSION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function updateBaseline(baseline, findings, defaults = {}) {
+  const existing = new Map((baseline?.suppressions || []).map((entry) => [entry.fingerprint, entry]));
+  const suppressions = [];
+  const seen = new Set();
+  let added = 0;
+  for (const finding of findings) {
+    if (seen.has(finding.fingerprint)) continue;
+    seen.add(finding.fingerprint);
+    if (existing.has(finding.fingerprint)) {
+      suppressions.push(existing.get(finding.fingerprint));
+      continue;
+    }
+    added += 1;
+    suppressions.push({
+      fingerprint: finding.fingerprint,
+      type: finding.type,
+      path: String(finding.path).split(path.sep).join('/'),
+      message: finding.message,
+      justification: defaults.justification || null,
+      owner: defaults.owner || null,
+      expires: defaults.expires || defaultExpiry(),
+      createdAt: new Date().toISOString()
+    });
+  }
+  suppressions.sort((a, b) => a.path.localeCompare(b.path) || a.type.localeCompare(b.type) || a.fingerprint.localeCompare(b.fingerprint));
+  return {
+    baseline: { version: BASELINE_VERSION, suppressions },
+    added,
+    removed: existing.size - (suppressions.length - added)
+  };
+}
+
+async function writeBaseline(baselinePath, baseline) {
+  await fsp.writeFile(path.resolve(baselinePath), JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+}
+
+module.exports = {
+  BASELINE_FILENAME,
+  fingerprintFinding,
+  isSuppressionExpired,
+  loadBaseline,
+  createBaselineMatcher,
+  updateBaseline,
+  writeBaseline
+};
@@ -0,0 +1,68 @@
+const JSONC_GAP = /(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/y;
+
+// bun.lock is JSON with comments and trailing commas (JSONC); strip both outside of strings.
+function stripJsonc(text) {
+  let output = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += text[i + 1] ?? '';
+        i += 1;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+      output += char;
+      continue;
+    }
+    if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i += 1;
+      output += '\n';
+      continue;
+    }
+    if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (char === ',') {
+      JSONC_GAP.lastIndex = i + 1;
+      JSONC_GAP.exec(text);
+      const next = text[JSONC_GAP.lastIndex];
+      if (next === '}' || next === ']') continue;
+    }
+    output += char;
+  }
+  return output;
+}
+
+function parseBunLock(text) {
+  return JSON.parse(stripJsonc(String(text)));
+}
+
+function isBunLockData(parsed) {
+  if (!parsed || typeof parsed !== 'object' || !parsed.lockfileVersion) return false;
+  if (!parsed.packages || typeof parsed.packages !== 'object') return false;
+  const first = Object.values(parsed.packages)[0];
+  return first === undefined ? Boolean(parsed.workspaces) : Array.isArray(first);
+}
+
+function splitBunPackageId(id) {
+  if (typeof id !== 'string') return null;
+  const atIndex = id.lastIndexOf('@');
+  if (atIndex <= 0) return null;
+  return { name: id.slice(0, atIndex), version: id.slice(atIndex + 1) };
+}
+
+module.exports = {
+  stripJsonc,
+  parseBunLock,
+  isBunLockData,
+  splitBunPackageId
+};
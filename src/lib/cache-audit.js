@@ -0,0 +1,85 @@
+const { listCacheEntries, removeCacheEntry, removeCacheContent, contentPath, parseTarballUrl } = require('./npm-cache');
+const { matchLockedPackage } = require('./scanner');
+const { readTarball } = require('./tarball');
+
+const REQUEST_CACHE_PREFIX = 'make-fetch-happen:request-cache:';
+
+function cachedTarball(entry) {
+  const url = entry.metadata?.url || (entry.key.startsWith(REQUEST_CACHE_PREFIX) ? entry.key.slice(REQUEST_CACHE_PREFIX.length) : null);
+  const pkg = url && parseTarballUrl(url);
+  return pkg ? { ...pkg, url } : null;
+}
+
+// Cached tarballs are matched by name@version and integrity against the dataset; with `inspectContents`,
+// each archive is also hashed file by file against the ruleset's payload hashes.
+async function auditNpmCache(cacheDir, datasetMap, options = {}) {
+  const { ruleSet = null, inspectContents = true } = options;
+  const entries = await listCacheEntries(cacheDir);
+  const issues = [];
+  let tarballs = 0;
+  let tarballsRead = 0;
+  for (const entry of entries) {
+    const tarball = cachedTarball(entry);
+    if (!tarball) continue;
+    tarballs += 1;
+    const match = datasetMap ? matchLockedPackage(datasetMap, tarball.name, tarball.version, entry.integrity, { location: tarball.url }) : null;
+    const payloads = [];
+    const file = contentPath(cacheDir, entry.integrity);
+    if (inspectContents && ruleSet?.hashRules.length && file) {
+      try {
+        for (const archived of await readTarball(file, { hashOnly: true })) {
+          const rule = ruleSet.findHashRule(archived.path, archived.sha256);
+          if (rule) payloads.push({ path: archived.path, hash: archived.sha256, rule });
+        }
+        tarballsRead += 1;
+      } catch (err) {
+        // content evicted by `npm cache verify` or not a gzip stream
+      }
+    }
+    if (match || payloads.length) {
+      issues.push({
+        key: entry.key,
+        name: tarball.name,
+        version: tarball.version,
+        url: tarball.url,
+        integrity: entry.integrity,
+        cachedAt: entry.time ? new Date(entry.time).toISOString() : null,
+        match,
+        payloads
+      });
+    }
+  }
+  issues.sort((a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+  return { cacheDir, entries: entries.length, tarballs, tarballsRead, issues };
+}
+
+// Content is shared by integrity, so a file is only deleted once no remaining key points at it.
+async function purgeCacheEntries(cacheDir, issues) {
+  for (const issue of issues) {
+    await removeCacheEntry(cacheDir, issue.key);
+  }
+  const live = new Set((await listCacheEntries(cacheDir)).map((entry) => entry.integrity));
+  for (const integrity of new Set(issues.map((issue) => issue.integrity))) {
+    if (!live.has(integrity)) await removeCacheContent(cacheDir, integrity);
+  }
+  return issues.map((issue) => issue.key);
+}
+
+function formatCacheIssue(issue) {
+  const reasons = [];
+  if (issue.match?.kind === 'lock-installed') {
+    reasons.push('version is listed as compromised');
+  } else if (issue.match?.kind === 'lock-integrity') {
+    reasons.push(`tarball integrity matches known-malicious ${issue.match.knownAs}`);
+  }
+  for (const payload of issue.payloads) {
+    reasons.push(`${payload.rule.description} in ${payload.path} (${payload.hash})`);
+  }
+  return `${issue.name}@${issue.version} is cached${issue.cachedAt ? ` (stored ${issue.cachedAt})` : ''}: ${reasons.join('; ')}.`;
+}
+
+module.exports = {
+  auditNpmCache,
+  purgeCacheEntries,
+  formatCacheIssue
+};
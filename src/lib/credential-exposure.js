@@ -0,0 +1,320 @@
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// What a compromised install could have read, and how to rotate each kind of credential.
+const CREDENTIAL_KINDS = {
+  npm: {
+    label: 'npm token',
+    rotate: 'revoke it (`npm token revoke <id>` or npmjs.com > Access Tokens) and issue a new granular token'
+  },
+  github: {
+    label: 'GitHub token',
+    rotate: 'revoke it under GitHub Settings > Developer settings and issue a new one with the minimum scopes'
+  },
+  'github-cli': {
+    label: 'GitHub CLI token',
+    rotate: 'revoke the GitHub CLI grant under GitHub Settings > Applications, then run `gh auth login` again'
+  },
+  aws: {
+    label: 'AWS credentials',
+    rotate: 'deactivate and delete the access key in IAM, then create a new one'
+  },
+  gcp: {
+    label: 'Google Cloud credentials',
+    rotate: 'run `gcloud auth application-default revoke` (or delete the service account key) and re-authenticate'
+  },
+  azure: {
+    label: 'Azure CLI token cache',
+    rotate: 'run `az logout` and revoke the account sessions in Entra ID'
+  },
+  git: {
+    label: 'stored git credential',
+    rotate: 'revoke the token at its host and remove it from the credential store'
+  },
+  'workflow-secret': {
+    label: 'GitHub Actions secret',
+    rotate: 'rotate the value at its issuer, then update the repository or organization secret'
+  },
+  secret: {
+    label: 'secret',
+    rotate: 'rotate it at the issuing service'
+  }
+};
+
+const VALUE_FORMATS = [
+  { kind: 'github', pattern: /^(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_\w{40,})$/ },
+  { kind: 'npm', pattern: /^npm_[A-Za-z0-9]{30,}$/ },
+  { kind: 'aws', pattern: /^(?:AKIA|ASIA)[A-Z0-9]{16}$/ }
+];
+const NAME_FORMATS = [
+  { kind: 'github', pattern: /^(?:GITHUB|GH)_(?:TOKEN|PAT)$|^GH_ENTERPRISE_TOKEN$/i },
+  { kind: 'npm', pattern: /^NPM_(?:TOKEN|AUTH_TOKEN)$|^NODE_AUTH_TOKEN$/i },
+  { kind: 'aws', pattern: /^AWS_(?:ACCESS_KEY_ID|SECRET_ACCESS_KEY|SESSION_TOKEN)$/i },
+  { kind: 'gcp', pattern: /^(?:GOOGLE_APPLICATION_CREDENTIALS|GCP_SERVICE_ACCOUNT_KEY)$/i },
+  { kind: 'azure', pattern: /^AZURE_(?:CLIENT_SECRET|CREDENTIALS)$/i }
+];
+const SECRET_NAME = /(?:^|[_-])(?:token|secret|passw(?:or)?d|api[_-]?key|private[_-]?key|credentials?|auth)(?:$|[_-])/i;
+const PLACEHOLDER_VALUE = /^(?:|x+|\*+|changeme|change-me|todo|dummy|example|placeholder|your[-_].*|<.*>|\$\{.*\}|\$\w+)$/i;
+const ENV_REFERENCE = /^\$\{?(\w+)\}?$/;
+// GITHUB_TOKEN is minted per job and expires with it; there is nothing to rotate.
+const EPHEMERAL_WORKFLOW_SECRETS = new Set(['GITHUB_TOKEN']);
+
+const DOTENV_FILE = /(?:^|\/)\.env(?:\.[\w.-]+)?$/;
+const NPMRC_FILE = /(?:^|\/)\.npmrc$/;
+const WORKFLOW_FILE = /(?:^|\/)\.github\/workflows\/[^/]+\.ya?ml$/i;
+const AWS_CREDENTIALS_FILE = /(?:^|\/)\.aws\/credentials$/;
+const KEY_FILE = /(?:^|\/)[^/]*(?:service[-_]?account|credentials|gcp|firebase-adminsdk)[^/]*\.json$/i;
+
+// Home-directory files read with --exposure-home, relative to the home directory.
+const HOME_SOURCES = [
+  { file: '.npmrc', parse: 'npmrc' },
+  { file: path.join('.aws', 'credentials'), parse: 'aws' },
+  { file: path.join('.config', 'gcloud', 'application_default_credentials.json'), parse: 'gcp' },
+  { file: path.join('.azure', 'msal_token_cache.json'), parse: 'azure' },
+  { file: path.join('.azure', 'accessTokens.json'), parse: 'azure' },
+  { file: path.join('.config', 'gh', 'hosts.yml'), parse: 'gh' },
+  { file: '.git-credentials', parse: 'git' }
+];
+
+function isCredentialSourcePath(relativePath) {
+  return DOTENV_FILE.test(relativePath)
+    || NPMRC_FILE.test(relativePath)
+    || WORKFLOW_FILE.test(relativePath)
+    || AWS_CREDENTIALS_FILE.test(relativePath)
+    || KEY_FILE.test(relativePath);
+}
+
+// Token type prefixes are public and say what to rotate; they are the only leading characters ever shown.
+const KNOWN_PREFIX = /^(?:gh[pousr]_|github_pat_|npm_|AKIA|ASIA)/;
+const MASK_TAIL_MIN_LENGTH = 24;
+
+function maskSecret(value) {
+  const text = String(value);
+  const prefix = KNOWN_PREFIX.exec(text)?.[0] || '';
+  const tail = text.length >= MASK_TAIL_MIN_LENGTH ? text.slice(-4) : '';
+  return `${prefix}${'*'.repeat(8)}${tail}`;
+}
+
+function unquote(value) {
+  const trimmed = value.trim();
+  const quoted = /^(['"])(.*)\1$/.exec(trimmed);
+  return quoted ? quoted[2] : trimmed.replace(/\s+#.*$/, '');
+}
+
+// Generic names (API_KEY, DB_PASSWORD) only count with a value that could be a secret, not a port or a flag.
+function classify(name, value) {
+  const byValue = VALUE_FORMATS.find((format) => format.pattern.test(value || ''));
+  if (byValue) return byValue.kind;
+  const byName = NAME_FORMATS.find((format) => format.pattern.test(name || ''));
+  if (byName) return byName.kind;
+  const plausible = typeof value === 'string' && value.length >= 8 && !/\s/.test(value) && !/^(?:\d+|true|false)$/i.test(value);
+  return SECRET_NAME.test(name || '') && plausible ? 'secret' : null;
+}
+
+function parseKeyValueLines(text, separator) {
+  const pairs = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) return;
+    const at = line.indexOf(separator);
+    if (at <= 0) return;
+    pairs.push({ name: line.slice(0, at).trim().replace(/^export\s+/, ''), value: unquote(line.slice(at + 1)), line: index + 1 });
+  });
+  return pairs;
+}
+
+function parseNpmrc(text) {
+  const items = [];
+  for (const { name, value, line } of parseKeyValueLines(text, '=')) {
+    const match = /^(?:(\/\/[^:]+\/?):)?(_authToken|_auth|_password)$/.exec(name);
+    if (!match || !value) continue;
+    const registry = match[1] ? match[1].replace(/^\/\/|\/$/g, '') : 'default registry';
+    const reference = ENV_REFERENCE.exec(value)?.[1];
+    items.push({ kind: 'npm', name: `${match[2]} for ${registry}`, line, ...(reference ? { reference } : { value }) });
+  }
+  return items;
+}
+
+function parseDotenv(text) {
+  const items = [];
+  for (const { name, value, line } of parseKeyValueLines(text, '=')) {
+    const kind = classify(name, value);
+    if (!kind || PLACEHOLDER_VALUE.test(value)) continue;
+    items.push({ kind, name, line, value });
+  }
+  return items;
+}
+
+function parseAwsCredentials(text) {
+  const items = [];
+  let profile = 'default';
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    const section = /^\[(.+)\]$/.exec(line);
+    if (section) {
+      profile = section[1].trim();
+      return;
+    }
+    const match = /^aws_access_key_id\s*=\s*(\S+)/i.exec(line);
+    if (match) items.push({ kind: 'aws', name: `profile ${profile}`, line: index + 1, value: match[1] });
+  });
+  return items;
+}
+
+function parseGcpCredentials(text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed.type === 'service_account' && parsed.private_key) {
+      return [{ kind: 'gcp', name: `service account ${parsed.client_email || 'key'}`, value: parsed.private_key_id || parsed.private_key }];
+    }
+    if (parsed.type === 'authorized_user' && parsed.refresh_token) {
+      return [{ kind: 'gcp', name: 'application default credentials', value: parsed.refresh_token }];
+    }
+  } catch (err) {
+    // not a credentials file after all
+  }
+  return [];
+}
+
+function parseGhHosts(text) {
+  const items = [];
+  let host = null;
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const hostMatch = /^([^\s#][^:]*):\s*$/.exec(raw);
+    if (hostMatch) host = hostMatch[1].trim();
+    const token = /^\s+oauth_token:\s*(\S+)/.exec(raw);
+    if (token && host) items.push({ kind: 'github-cli', name: host, line: index + 1, value: unquote(token[1]) });
+  });
+  return items;
+}
+
+function parseGitCredentials(text) {
+  const items = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const match = /^(\w+:\/\/)([^:@/\s]+):([^@\s]+)@(\S+)$/.exec(raw.trim());
+    if (!match) return;
+    const secret = decodeURIComponent(match[3]);
+    items.push({ kind: classify(null, secret) || 'git', name: `${match[2]}@${match[4]}`, line: index + 1, value: secret });
+  });
+  return items;
+}
+
+function collectWorkflowSecrets(text) {
+  const items = [];
+  const seen = new Set();
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (/toJSON\(\s*secrets\s*\)/i.test(raw) && !seen.has('*')) {
+      seen.add('*');
+      items.push({ kind: 'workflow-secret', name: 'every repository and organization secret (toJSON(secrets))', line: index + 1 });
+    }
+    for (const match of raw.matchAll(/\bsecrets\s*(?:\.\s*([A-Za-z_]\w*)|\[\s*['"]([^'"]+)['"]\s*\])/g)) {
+      const name = match[1] || match[2];
+      if (seen.has(name) || EPHEMERAL_WORKFLOW_SECRETS.has(name)) continue;
+      seen.add(name);
+      items.push({ kind: 'workflow-secret', name, line: index + 1 });
+    }
+  });
+  return items;
+}
+
+function parseSource(type, text) {
+  switch (type) {
+    case 'npmrc':
+      return parseNpmrc(text);
+    case 'env':
+      return parseDotenv(text);
+    case 'aws':
+      return parseAwsCredentials(text);
+    case 'gcp':
+      return parseGcpCredentials(text);
+    case 'azure':
+      return [{ kind: 'azure', name: 'cached Azure CLI sessions' }];
+    case 'gh':
+      return parseGhHosts(text);
+    case 'git':
+      return parseGitCredentials(text);
+    case 'workflow':
+      return collectWorkflowSecrets(text);
+    default:
+      return [];
+  }
+}
+
+function sourceType(relativePath) {
+  if (NPMRC_FILE.test(relativePath)) return 'npmrc';
+  if (DOTENV_FILE.test(relativePath)) return 'env';
+  if (WORKFLOW_FILE.test(relativePath)) return 'workflow';
+  if (AWS_CREDENTIALS_FILE.test(relativePath)) return 'aws';
+  if (KEY_FILE.test(relativePath)) return 'gcp';
+  return null;
+}
+
+function toExposureItem(item, scope, displayPath) {
+  const kind = CREDENTIAL_KINDS[item.kind];
+  return {
+    scope,
+    kind: item.kind,
+    label: kind.label,
+    name: item.name,
+    path: displayPath,
+    ...(item.line ? { line: item.line } : {}),
+    ...(item.value !== undefined ? { masked: maskSecret(item.value) } : {}),
+    ...(item.reference ? { reference: item.reference } : {}),
+    rotate: kind.rotate
+  };
+}
+
+async function readSource(filePath) {
+  try {
+    return await fsp.readFile(filePath, 'utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Inventories credentials a compromised install could have harvested. Values never leave this module
+// unmasked. `files` are project paths collected during the walk; home sources and the environment are opt-in.
+async function assessCredentialExposure(rootDir, files, options = {}) {
+  const items = [];
+  for (const relativePath of files) {
+    const normalized = relativePath.split(path.sep).join('/');
+    const type = sourceType(normalized);
+    const text = type && await readSource(path.join(rootDir, relativePath));
+    if (!text) continue;
+    for (const item of parseSource(type, text)) items.push(toExposureItem(item, 'project', relativePath));
+  }
+
+  const scopes = ['project'];
+  if (options.home) {
+    scopes.push('home');
+    const homeDir = options.homeDir || os.homedir();
+    for (const source of HOME_SOURCES) {
+      const text = await readSource(path.join(homeDir, source.file));
+      if (!text) continue;
+      const displayPath = path.join('~', source.file);
+      for (const item of parseSource(source.parse, text)) items.push(toExposureItem(item, 'home', displayPath));
+    }
+    // The worm serializes process.env wholesale, so anything exported to the shell counts as well.
+    for (const [name, value] of Object.entries(options.env || process.env)) {
+      const kind = classify(name, value);
+      if (!kind || !value || PLACEHOLDER_VALUE.test(value)) continue;
+      items.push(toExposureItem({ kind, name, value }, 'home', 'environment'));
+    }
+  }
+  return { scopes, items };
+}
+
+function formatExposureItem(item) {
+  const where = `${item.path}${item.line ? `:${item.line}` : ''}`;
+  const value = item.masked ? ` = ${item.masked}` : item.reference ? ` (from $${item.reference})` : '';
+  return `${item.label} ${item.name}${value} in ${where}: ${item.rotate}.`;
+}
+
+module.exports = {
+  CREDENTIAL_KINDS,
+  isCredentialSourcePath,
+  maskSecret,
+  assessCredentialExposure,
+  formatExposureItem
+};
@@ -1,14 +1,132 @@
+const fsp = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const {
   DEFAULT_DATASET_PATH,
-  loadJsonFile,
+  loadTextFile,
+  parseDatasetPayload,
   fetchDatasetFromUrl
 } = require('./scanner');
-const { DEFAULT_REMOTE_DATASET_URL } = require('../config');
+const {
+  loadTrustedKeys,
+  checkFeedSignature,
+  fetchDetachedSignature,
+  readDetachedSignature
+} = require('./feed-signature');
+const {
+  DEFAULT_REMOTE_DATASET_URL,
+  DATASET_CACHE_DIR,
+  DATASET_MAX_AGE,
+  DATASET_OFFLINE,
+  DATASET_REQUIRE_SIGNED,
+  TRUSTED_KEYS_PATH
+} = require('../config');
+
+const DEFAULT_DATASET_META_PATH = DEFAULT_DATASET_PATH.replace(/\.json$/, '.meta.json');
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
 
 const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
 
-async function resolveDataset(datasetArg, { quiet = false } = {}) {
+function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)([smhd]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (expected seconds or a value like 30m, 6h, 2d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+}
+
+function formatAge(seconds) {
+  if (seconds < 60) return `${Math.max(0, Math.round(seconds))}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+  return `${Math.round(seconds / 86400)}d`;
+}
+
+function describeFreshness(asOf, maxAgeSeconds, now = Date.now()) {
+  const timestamp = Date.parse(asOf);
+  if (!asOf || Number.isNaN(timestamp)) return {};
+  const ageSeconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  return {
+    asOf: new Date(timestamp).toISOString(),
+    ageSeconds,
+    age: formatAge(ageSeconds),
+    stale: ageSeconds > maxAgeSeconds
+  };
+}
+
+function cachePathFor(url, cacheDir) {
+  const key = crypto.createHash('sha256').update(url).digest('hex').slice(0, 24);
+  return path.join(cacheDir, `dataset-${key}.json`);
+}
+
+async function readCachedDataset(url, cacheDir) {
+  try {
+    const record = JSON.parse(await fsp.readFile(cachePathFor(url, cacheDir), 'utf8'));
+    if (record?.url !== url || !Array.isArray(record.entries) || Number.isNaN(Date.parse(record.fetchedAt))) {
+      return null;
+    }
+    return record;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function writeCachedDataset(cacheDir, record) {
+  await fsp.mkdir(cacheDir, { recursive: true });
+  const target = cachePathFor(record.url, cacheDir);
+  const temp = `${target}.${process.pid}.tmp`;
+  await fsp.writeFile(temp, JSON.stringify(record), 'utf8');
+  await fsp.rename(temp, target);
+}
+
+async function readLocalAsOf(absolute) {
+  if (absolute === DEFAULT_DATASET_PATH) {
+    try {
+      const meta = JSON.parse(await fsp.readFile(DEFAULT_DATASET_META_PATH, 'utf8'));
+      if (meta?.generatedAt) return meta.generatedAt;
+    } catch (err) {
+      // No sidecar metadata; fall back to the file timestamp
+    }
+  }
+  try {
+    return (await fsp.stat(absolute)).mtime.toISOString();
+  } catch (err) {
+    return null;
+  }
+}
+
+function signatureError(message) {
+  const err = new Error(message);
+  err.code = 'EDATASETSIGNATURE';
+  return err;
+}
+
+// Invalid signatures are always fatal; unsigned feeds only when signatures are required. Neither falls back
+// to a cached or bundled copy.
+function enforceSignature(signature, label, requireSigned) {
+  if (signature.status === 'invalid') {
+    throw signatureError(`Dataset signature verification failed for ${label}${signature.keyId ? ` (key ${signature.keyId})` : ''}`);
+  }
+  if (signature.status === 'unsigned' && requireSigned) {
+    throw signatureError(`Dataset ${label} is not signed and signed feeds are required`);
+  }
+  return signature;
+}
+
+async function resolveDataset(datasetArg, {
+  quiet = false,
+  offline = DATASET_OFFLINE,
+  maxAge = DATASET_MAX_AGE,
+  cacheDir = DATASET_CACHE_DIR,
+  fallback = true,
+  requireSigned = DATASET_REQUIRE_SIGNED,
+  trustedKeys,
+  trustedKeysPath = TRUSTED_KEYS_PATH
+} = {}) {
+  const maxAgeSeconds = parseDuration(maxAge);
+  const keys = trustedKeys || await loadTrustedKeys(trustedKeysPath);
+  const verifying = requireSigned || keys.length > 0;
   const candidateUrls = [];
   if (datasetArg && isHttpUrl(datasetArg)) {
     candidateUrls.push({ url: datasetArg, source: 'remote-custom' });
@@ -19,29 +137,103 @@ async function resolveDataset(datasetArg, { quiet = false } = {}) {
   let datasetEntries;
   let datasetMeta;
   let identifier;
+  let asOf;
   let lastError;
+  let signature = null;
 
   for (const candidate of candidateUrls) {
+    const stored = await readCachedDataset(candidate.url, cacheDir);
+    const cached = stored && (!requireSigned || stored.signature?.status === 'valid') ? stored : null;
+    if (cached && (offline || !describeFreshness(cached.fetchedAt, maxAgeSeconds).stale)) {
+      datasetEntries = cached.entries;
+      datasetMeta = { source: candidate.source, url: candidate.url, cache: offline ? 'offline' : 'fresh' };
+      identifier = candidate.url;
+      asOf = cached.fetchedAt;
+      signature = cached.signature || null;
+      break;
+    }
+    if (offline) {
+      lastError = new Error('offline mode and no cached copy');
+      if (!quiet) {
+        console.warn(`Skipping dataset fetch from ${candidate.url}: ${lastError.message}`);
+      }
+      continue;
+    }
+
     try {
-      datasetEntries = await fetchDatasetFromUrl(candidate.url);
-      datasetMeta = { source: candidate.source, url: candidate.url };
+      const result = await fetchDatasetFromUrl(candidate.url, cached || {});
+      if (result.notModified && !cached) {
+        throw new Error('HTTP 304 without a cached copy');
+      }
+      if (result.notModified) {
+        signature = cached.signature || null;
+      } else if (verifying) {
+        signature = enforceSignature(
+          await checkFeedSignature(result.raw, () => fetchDetachedSignature(candidate.url), keys),
+          candidate.url,
+          requireSigned
+        );
+      }
+      const record = {
+        url: candidate.url,
+        fetchedAt: new Date().toISOString(),
+        etag: result.etag,
+        lastModified: result.lastModified,
+        signature,
+        entries: result.notModified ? cached.entries : result.entries
+      };
+      try {
+        await writeCachedDataset(cacheDir, record);
+      } catch (err) {
+        if (!quiet) {
+          console.warn(`Unable to cache dataset in ${cacheDir}: ${err.message}`);
+        }
+      }
+      datasetEntries = record.entries;
+      datasetMeta = { source: candidate.source, url: candidate.url, cache: result.notModified ? 'revalidated' : 'updated' };
       identifier = candidate.url;
+      asOf = record.fetchedAt;
       break;
     } catch (err) {
+      if (err.code === 'EDATASETSIGNATURE') throw err;
       lastError = err;
       if (!quiet) {
         console.warn(`Failed to fetch dataset from ${candidate.url}: ${err.message}`);
       }
+      if (cached) {
+        datasetEntries = cached.entries;
+        datasetMeta = { source: candidate.source, url: candidate.url, cache: 'stale', lastError: err.message };
+        identifier = candidate.url;
+        asOf = cached.fetchedAt;
+        signature = cached.signature || null;
+        break;
+      }
     }
   }
 
+  // The bundled snapshot is not a signed feed, so it never stands in for one that signatures are required for.
+  if (!datasetEntries && candidateUrls.length && (!fallback || requireSigned)) {
+    throw new Error(`Failed to load dataset from ${candidateUrls[0].url}: ${lastError?.message ?? 'unknown error'}`);
+  }
+
   if (!datasetEntries) {
     const datasetPath = datasetArg && !isHttpUrl(datasetArg)
       ? path.resolve(datasetArg)
       : DEFAULT_DATASET_PATH;
-    const { data, absolute } = await loadJsonFile(datasetPath, 'dataset');
-    datasetEntries = data;
+    const { raw, absolute } = await loadTextFile(datasetPath, 'dataset');
+    try {
+      datasetEntries = parseDatasetPayload(raw);
+    } catch (err) {
+      throw new Error(`Failed to parse dataset in ${absolute}: ${err.message}`);
+    }
+    if (verifying) {
+      // The bundled snapshot is verified by scripts/update-dataset.js when it is written.
+      signature = absolute === DEFAULT_DATASET_PATH
+        ? { status: 'bundled' }
+        : enforceSignature(await checkFeedSignature(raw, () => readDetachedSignature(absolute), keys), absolute, requireSigned);
+    }
     identifier = absolute;
+    asOf = await readLocalAsOf(absolute);
     if (candidateUrls.length && lastError) {
       datasetMeta = {
         source: 'local-fallback',
@@ -61,11 +253,138 @@ async function resolveDataset(datasetArg, { quiet = false } = {}) {
     throw new Error('Dataset must be a JSON array of {name, versions}.');
   }
 
+  Object.assign(datasetMeta, describeFreshness(asOf, maxAgeSeconds), { maxAgeSeconds });
+  if (signature) {
+    datasetMeta.signature = signature;
+  }
   datasetMeta.entries = datasetEntries.length;
   return { entries: datasetEntries, identifier, meta: datasetMeta };
 }
 
+function parseFeedArg(arg) {
+  const labelled = String(arg).match(/^([A-Za-z][\w.-]*)=(.+)$/);
+  return labelled ? { label: labelled[1], source: labelled[2] } : { label: null, source: String(arg) };
+}
+
+function mergeSeverity(target, severity) {
+  if (!severity) return target;
+  if (!target) return typeof severity === 'object' ? { ...severity } : severity;
+  if (typeof target === 'object' && typeof severity === 'object') {
+    return { ...severity, ...target };
+  }
+  return target;
+}
+
+// Entries are merged by name and version; every version and integrity digest remembers which feeds listed it.
+// For advisory fields the first feed that sets one wins, except advisory URLs, which accumulate.
+function mergeDatasetFeeds(feeds) {
+  const merged = new Map();
+  for (const { label, entries } of feeds) {
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object' || !entry.name) continue;
+      const versions = entry.versions === undefined && entry.integrity !== undefined ? [] : entry.versions;
+      if (!Array.isArray(versions)) continue;
+      if (!merged.has(entry.name)) {
+        merged.set(entry.name, { name: entry.name, versions: [], feeds: {}, integrity: [], integrityFeeds: {} });
+      }
+      const target = merged.get(entry.name);
+      for (const version of versions) {
+        if (typeof version !== 'string' || !version.trim()) continue;
+        const key = version.trim();
+        if (!target.feeds[key]) {
+          target.feeds[key] = [];
+          target.versions.push(key);
+        }
+        if (!target.feeds[key].includes(label)) target.feeds[key].push(label);
+      }
+      for (const digest of [].concat(entry.integrity ?? [])) {
+        if (typeof digest !== 'string') continue;
+        if (!target.integrityFeeds[digest]) {
+          target.integrityFeeds[digest] = [];
+          target.integrity.push(digest);
+        }
+        if (!target.integrityFeeds[digest].includes(label)) target.integrityFeeds[digest].push(label);
+      }
+      for (const field of ['campaign', 'firstSeen', 'published', 'notes']) {
+        if (target[field] === undefined && entry[field] !== undefined) target[field] = entry[field];
+      }
+      target.severity = mergeSeverity(target.severity, entry.severity);
+      const urls = [].concat(entry.advisories ?? []);
+      if (urls.length) {
+        target.advisories = Array.from(new Set([...(target.advisories || []), ...urls]));
+      }
+    }
+  }
+  return Array.from(merged.values());
+}
+
+// A single feed keeps the historical behaviour (including the bundled fallback). With several feeds,
+// each one must load on its own merits: failures are reported per feed instead of swapping in the bundled list,
+// and are fatal when signatures are required or a feed's signature does not verify.
+async function resolveDatasets(datasetArgs, options = {}) {
+  const args = (Array.isArray(datasetArgs) ? datasetArgs : [datasetArgs]).filter(Boolean);
+  if (args.length <= 1) {
+    const single = parseFeedArg(args[0] ?? '');
+    const result = await resolveDataset(args.length ? single.source : undefined, options);
+    if (!single.label || !Array.isArray(result.entries)) return result;
+    // A labelled feed records its provenance the same way merged feeds do.
+    const entries = mergeDatasetFeeds([{ label: single.label, entries: result.entries }]);
+    return { ...result, entries, meta: { ...result.meta, label: single.label, entries: entries.length } };
+  }
+
+  const requireSigned = options.requireSigned ?? DATASET_REQUIRE_SIGNED;
+  const trustedKeys = options.trustedKeys || await loadTrustedKeys(options.trustedKeysPath || TRUSTED_KEYS_PATH);
+  const loaded = [];
+  const failed = [];
+  const labels = new Set();
+  for (const arg of args) {
+    const { label: explicitLabel, source } = parseFeedArg(arg);
+    let label = explicitLabel || (isHttpUrl(source) ? source : path.resolve(source));
+    for (let suffix = 2; labels.has(label); suffix += 1) {
+      label = `${explicitLabel || source}#${suffix}`;
+    }
+    labels.add(label);
+    try {
+      const result = await resolveDataset(source, { ...options, trustedKeys, fallback: false });
+      if (!Array.isArray(result.entries)) throw new Error('Dataset must be a JSON array of {name, versions}.');
+      loaded.push({ label, ...result });
+    } catch (err) {
+      if (requireSigned || err.code === 'EDATASETSIGNATURE') {
+        throw new Error(`Dataset feed ${label} failed to load: ${err.message}`);
+      }
+      failed.push({ label, source, error: err.message });
+      if (!options.quiet) {
+        console.warn(`Dataset feed ${label} failed to load: ${err.message}`);
+      }
+    }
+  }
+  if (!loaded.length) {
+    throw new Error(`No dataset feed could be loaded (${failed.map((item) => `${item.label}: ${item.error}`).join('; ')})`);
+  }
+
+  const entries = mergeDatasetFeeds(loaded);
+  const oldest = loaded
+    .filter((feed) => feed.meta.asOf)
+    .sort((a, b) => Date.parse(a.meta.asOf) - Date.parse(b.meta.asOf))[0];
+  const meta = {
+    source: 'merged',
+    feeds: loaded.map((feed) => ({ label: feed.label, identifier: feed.identifier, ...feed.meta })),
+    failed,
+    ...(oldest ? { asOf: oldest.meta.asOf, ageSeconds: oldest.meta.ageSeconds, age: oldest.meta.age } : {}),
+    stale: loaded.some((feed) => feed.meta.stale),
+    maxAgeSeconds: loaded[0].meta.maxAgeSeconds,
+    entries: entries.length
+  };
+  return { entries, identifier: loaded.map((feed) => feed.label).join(', '), meta };
+}
+
 module.exports = {
   resolveDataset,
-  isHttpUrl
+  resolveDatasets,
+  mergeDatasetFeeds,
+  mergeSeverity,
+  parseFeedArg,
+  isHttpUrl,
+  parseDuration,
+  formatAge
 };
@@ -0,0 +1,136 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// DER prefix that turns a raw 32-byte Ed25519 public key into an SPKI structure.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const ED25519_SIGNATURE_BYTES = 64;
+
+function toPublicKey(value) {
+  const text = String(value || '').trim();
+  if (text.includes('BEGIN PUBLIC KEY')) {
+    return crypto.createPublicKey(text);
+  }
+  const raw = Buffer.from(text, 'base64');
+  if (raw.length !== 32) {
+    throw new Error('expected a PEM public key or a base64-encoded 32-byte Ed25519 key');
+  }
+  return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+async function loadTrustedKeys(keysPath) {
+  let raw;
+  try {
+    raw = await fsp.readFile(path.resolve(keysPath), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new Error(`Unable to read trusted keys at ${keysPath}: ${err.message}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Failed to parse trusted keys in ${keysPath}: ${err.message}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.keys;
+  if (!Array.isArray(list)) {
+    throw new Error(`Trusted keys file ${keysPath} must be a JSON array of {id, publicKey}.`);
+  }
+  return list.map((item, index) => {
+    const id = item?.id || `key-${index + 1}`;
+    try {
+      const key = toPublicKey(item?.publicKey);
+      if (key.asymmetricKeyType !== 'ed25519') throw new Error(`unsupported key type ${key.asymmetricKeyType}`);
+      return { id, key };
+    } catch (err) {
+      throw new Error(`Trusted key ${id} in ${keysPath} is invalid: ${err.message}`);
+    }
+  });
+}
+
+// A signed envelope wraps the feed text: {"payload": "<feed>", "signature": "<base64>", "keyId": "..."}.
+function readSignedEnvelope(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    return null;
+  }
+  if (!parsed || Array.isArray(parsed) || typeof parsed.payload !== 'string' || typeof parsed.signature !== 'string') {
+    return null;
+  }
+  return { payload: parsed.payload, signature: Buffer.from(parsed.signature, 'base64'), keyId: parsed.keyId || null };
+}
+
+// Detached signatures may be raw 64-byte files (openssl pkeyutl output), base64 text, or {"signature", "keyId"} JSON.
+function decodeDetachedSignature(buffer) {
+  if (buffer.length === ED25519_SIGNATURE_BYTES) {
+    return { signature: buffer, keyId: null };
+  }
+  const text = buffer.toString('utf8').trim();
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed.signature === 'string') {
+      return { signature: Buffer.from(parsed.signature, 'base64'), keyId: parsed.keyId || null };
+    }
+  } catch (err) {
+    // Plain base64 text
+  }
+  return { signature: Buffer.from(text, 'base64'), keyId: null };
+}
+
+function verifySignature(payload, signature, trustedKeys, keyId = null) {
+  if (!signature || signature.length !== ED25519_SIGNATURE_BYTES) return null;
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  const candidates = keyId ? trustedKeys.filter((item) => item.id === keyId) : trustedKeys;
+  for (const { id, key } of candidates) {
+    if (crypto.verify(null, data, key, signature)) return id;
+  }
+  return null;
+}
+
+async function checkFeedSignature(raw, loadDetachedSignature, trustedKeys) {
+  const envelope = readSignedEnvelope(raw);
+  const signed = envelope || await loadDetachedSignature().then((buffer) => (buffer ? decodeDetachedSignature(buffer) : null));
+  if (!signed) {
+    return { status: 'unsigned' };
+  }
+  const format = envelope ? 'envelope' : 'detached';
+  const keyId = verifySignature(envelope ? envelope.payload : raw, signed.signature, trustedKeys, signed.keyId);
+  return keyId ? { status: 'valid', format, keyId } : { status: 'invalid', format, keyId: signed.keyId };
+}
+
+function signatureUrlFor(url) {
+  const parsed = new URL(url);
+  parsed.pathname = `${parsed.pathname}.sig`;
+  return parsed.toString();
+}
+
+async function fetchDetachedSignature(url) {
+  const response = await fetch(signatureUrlFor(url));
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} while fetching signature`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function readDetachedSignature(filePath) {
+  try {
+    return await fsp.readFile(`${filePath}.sig`);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  loadTrustedKeys,
+  readSignedEnvelope,
+  decodeDetachedSignature,
+  verifySignature,
+  checkFeedSignature,
+  signatureUrlFor,
+  fetchDetachedSignature,
+  readDetachedSignature
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const { analyzeObfuscation } = require('./obfuscation');
+
+const MAX_TEXT_BYTES = 512 * 1024;
+// Worm payloads are multi-megabyte bundles, so script heuristics read further than pattern matching.
+const MAX_SCRIPT_BYTES = 8 * 1024 * 1024;
+const FILE_INSPECTOR_ROLE = 'file-inspector';
+
+async function computeSha256(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', reject);
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+async function readFileLimited(filePath, limit = MAX_TEXT_BYTES) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const stats = await handle.stat();
+    const length = Math.min(limit, stats.size);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, 0);
+    return buffer.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+// RegExp objects do not survive structured cloning, so patterns cross the thread boundary as source/flags pairs.
+function serializePatterns(patterns) {
+  return patterns.map((pattern) => ({ source: pattern.source, flags: pattern.flags }));
+}
+
+function compilePatterns(serialized) {
+  return (serialized || []).map(({ source, flags }) => new RegExp(source, flags));
+}
+
+function matchPatterns(content, patterns) {
+  const hits = [];
+  patterns.forEach((pattern, index) => {
+    pattern.lastIndex = 0;
+    if (pattern.test(content)) hits.push(index);
+  });
+  return hits;
+}
+
+function analyzeContent(content, task, patternGroups) {
+  const result = { patternMatches: {}, obfuscation: null };
+  if (task.content && content.length) {
+    for (const [group, patterns] of Object.entries(patternGroups)) {
+      result.patternMatches[group] = matchPatterns(content, patterns);
+    }
+  }
+  if (task.obfuscation) {
+    result.obfuscation = analyzeObfuscation(content);
+  }
+  return result;
+}
+
+async function inspectFile(task, patternGroups) {
+  const result = { hash: null, contentScanned: false, patternMatches: {}, obfuscation: null };
+  if (task.hash) {
+    try {
+      result.hash = await computeSha256(task.filePath);
+    } catch (err) {
+      // ignore hashing errors
+    }
+  }
+  if (task.content || task.obfuscation) {
+    let content = null;
+    try {
+      content = await readFileLimited(task.filePath, task.obfuscation ? MAX_SCRIPT_BYTES : MAX_TEXT_BYTES);
+      result.contentScanned = Boolean(task.content);
+    } catch (err) {
+      content = null;
+    }
+    if (typeof content === 'string') {
+      Object.assign(result, analyzeContent(content, task, patternGroups));
+    }
+  }
+  return result;
+}
+
+// Same checks as inspectFile for content that is already in memory (tarball entries), run on the calling thread.
+function inspectBuffer(buffer, task, patternGroups) {
+  const limit = task.obfuscation ? MAX_SCRIPT_BYTES : MAX_TEXT_BYTES;
+  return {
+    hash: task.hash ? crypto.createHash('sha256').update(buffer).digest('hex') : null,
+    contentScanned: Boolean(task.content),
+    ...(task.content || task.obfuscation
+      ? analyzeContent(buffer.subarray(0, limit).toString('utf8'), task, patternGroups)
+      : { patternMatches: {}, obfuscation: null })
+  };
+}
+
+if (!isMainThread && workerData?.role === FILE_INSPECTOR_ROLE) {
+  const patternGroups = Object.fromEntries(
+    Object.entries(workerData.patternGroups || {}).map(([group, serialized]) => [group, compilePatterns(serialized)])
+  );
+  parentPort.on('message', async (task) => {
+    try {
+      parentPort.postMessage({ id: task.id, result: await inspectFile(task, patternGroups) });
+    } catch (err) {
+      parentPort.postMessage({ id: task.id, error: err.message });
+    }
+  });
+}
+
+module.exports = {
+  MAX_TEXT_BYTES,
+  FILE_INSPECTOR_ROLE,
+  computeSha256,
+  readFileLimited,
+  serializePatterns,
+  compilePatterns,
+  matchPatterns,
+  inspectFile,
+  inspectBuffer
+};
@@ -0,0 +1,124 @@
+const { SUSPICIOUS_BRANCH_PATTERNS } = require('./iocs');
+const { openRepository, listRefs, matchRefs, runGit, streamGit, hashBlobs } = require('./git-repo');
+
+const EMPTY_BLOB = /^0+$/;
+const C_ESCAPES = { n: '\n', t: '\t', '"': '"', '\\': '\\' };
+
+// git quotes paths with unusual bytes C-style: "caf\303\251.js".
+function unquotePath(value) {
+  if (!value.startsWith('"') || !value.endsWith('"')) return value;
+  const bytes = [];
+  const body = value.slice(1, -1);
+  for (let i = 0; i < body.length; i += 1) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i], 'utf8'));
+    } else if (/[0-7]{3}/.test(body.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(...Buffer.from(C_ESCAPES[body[i + 1]] ?? body[i + 1], 'utf8'));
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+async function describeCommit(repo, commit) {
+  const output = await runGit(repo.root, ['show', '-s', '--format=%H%x1f%an <%ae>%x1f%aI', commit]);
+  const [hash, author, date] = output.trim().split('\x1f');
+  return { commit: hash, author, date };
+}
+
+// One pass over every commit reachable from any ref, collecting raw diff entries under the scan root.
+async function walkHistory(repo, onEntry) {
+  let current = null;
+  let commits = 0;
+  const pathspec = repo.prefix ? [repo.prefix] : [];
+  await streamGit(repo.root, [
+    'log', '--all', '--no-renames', '--raw', '--no-abbrev', '--format=%x1e%H%x1f%an <%ae>%x1f%aI', '--', ...pathspec
+  ], (line) => {
+    if (line.startsWith('\x1e')) {
+      const [commit, author, date] = line.slice(1).split('\x1f');
+      current = { commit, author, date, order: commits };
+      commits += 1;
+      return;
+    }
+    // :<old mode> <new mode> <old blob> <new blob> <status>\t<path>
+    const match = /^:\d+ \d+ [0-9a-f]+ ([0-9a-f]+) ([A-Z])\d*\t(.+)$/.exec(line);
+    if (!match || !current) return;
+    const [, blob, status, quoted] = match;
+    const file = unquotePath(quoted);
+    if (!file.startsWith(repo.prefix)) return;
+    onEntry({ ...current, blob, status, path: file.slice(repo.prefix.length) });
+  });
+  return commits;
+}
+
+// git log runs newest first, so a lower `order` means a later commit.
+function laterDeletion(deletions, entry) {
+  return (deletions.get(entry.path) || []).find((deletion) => deletion.order < entry.order) || null;
+}
+
+async function scanGitHistory(rootDir, ruleSet) {
+  const repo = await openRepository(rootDir);
+  if (!repo) {
+    return { repository: null, refs: 0, commits: 0, blobsHashed: 0, issues: [] };
+  }
+  const issues = [];
+
+  const refs = await listRefs(repo);
+  for (const ref of matchRefs(refs, SUSPICIOUS_BRANCH_PATTERNS)) {
+    issues.push({ kind: 'ref', ref: ref.name, path: ref.name, ...(await describeCommit(repo, `${ref.commit}^{commit}`)) });
+  }
+
+  const workflowAdds = [];
+  const deletions = new Map();
+  const blobs = new Map();
+  const commits = await walkHistory(repo, (entry) => {
+    if (entry.status === 'D') {
+      if (!deletions.has(entry.path)) deletions.set(entry.path, []);
+      deletions.get(entry.path).push(entry);
+      return;
+    }
+    if (EMPTY_BLOB.test(entry.blob)) return;
+    if (entry.status === 'A') {
+      const rule = ruleSet.filenameRules.find((candidate) => candidate.matchesName(entry.path));
+      if (rule) workflowAdds.push({ entry, rule });
+    }
+    if (ruleSet.hashRules.some((candidate) => candidate.appliesTo(entry.path))) {
+      // Keep the oldest commit that introduced each blob.
+      blobs.set(entry.blob, entry);
+    }
+  });
+
+  for (const { entry, rule } of workflowAdds) {
+    issues.push({ kind: 'workflow', ...entry, deletedIn: laterDeletion(deletions, entry), rule });
+  }
+
+  const hashes = await hashBlobs(repo, Array.from(blobs.keys()));
+  for (const [blob, hash] of hashes) {
+    const entry = blobs.get(blob);
+    const rule = ruleSet.findHashRule(entry.path, hash);
+    if (rule) issues.push({ kind: 'payload', ...entry, hash, deletedIn: laterDeletion(deletions, entry), rule });
+  }
+
+  return { repository: repo.root, refs: refs.length, commits, blobsHashed: hashes.size, issues };
+}
+
+function formatHistoryMessage(issue) {
+  const by = `${issue.author} on ${issue.date}`;
+  const short = issue.commit.slice(0, 12);
+  if (issue.kind === 'ref') {
+    return `Ref ${issue.ref} matches a known worm branch name; tip commit ${short} by ${by}.`;
+  }
+  const deleted = issue.deletedIn ? `, later deleted in ${issue.deletedIn.commit.slice(0, 12)} (${issue.deletedIn.date})` : '';
+  if (issue.kind === 'workflow') {
+    return `${issue.rule.description.replace(/\.$/, '')} in git history: added in commit ${short} by ${by}${deleted}.`;
+  }
+  return `${issue.rule.description} in git history (${issue.hash}): committed in ${short} by ${by}${deleted}.`;
+}
+
+module.exports = {
+  scanGitHistory,
+  formatHistoryMessage
+};
@@ -0,0 +1,137 @@
+const { execFile, spawn } = require('child_process');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const GIT_TIMEOUT_MS = 60 * 1000;
+const GIT_STREAM_TIMEOUT_MS = 30 * 60 * 1000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: GIT_MAX_BUFFER, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || err.message).trim()}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Line-by-line variant for commands whose output can outgrow any sensible buffer (history walks).
+function streamGit(cwd, args, onLine) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, timeout: GIT_STREAM_TIMEOUT_MS, windowsHide: true });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on('line', onLine);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`git ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+  });
+}
+
+// SHA-256 of each blob's content, read through one `git cat-file --batch` process without buffering whole blobs.
+function hashBlobs(repo, blobIds) {
+  return new Promise((resolve, reject) => {
+    const hashes = new Map();
+    if (!blobIds.length) {
+      resolve(hashes);
+      return;
+    }
+    const child = spawn('git', ['cat-file', '--batch'], { cwd: repo.root, timeout: GIT_STREAM_TIMEOUT_MS, windowsHide: true });
+    let pending = Buffer.alloc(0);
+    let current = null;
+    child.stdout.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      for (;;) {
+        if (!current) {
+          const newline = pending.indexOf(10);
+          if (newline === -1) return;
+          const [id, type, size] = pending.subarray(0, newline).toString('utf8').split(' ');
+          pending = pending.subarray(newline + 1);
+          if (type === 'missing') continue;
+          current = { id, remaining: Number(size), hash: crypto.createHash('sha256') };
+        }
+        const take = Math.min(current.remaining, pending.length);
+        current.hash.update(pending.subarray(0, take));
+        pending = pending.subarray(take);
+        current.remaining -= take;
+        // Each blob body is followed by a single newline.
+        if (current.remaining > 0 || !pending.length) return;
+        hashes.set(current.id, current.hash.digest('hex'));
+        pending = pending.subarray(1);
+        current = null;
+      }
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(hashes);
+      } else {
+        reject(new Error(`git cat-file failed: exit code ${code}`));
+      }
+    });
+    child.stdin.end(`${blobIds.join('\n')}\n`);
+  });
+}
+
+// Returns null when the directory is not inside a work tree or git is not installed.
+async function openRepository(dir) {
+  try {
+    const [root, prefix] = (await runGit(dir, ['rev-parse', '--show-toplevel', '--show-prefix'])).split('\n');
+    return { root: root.trim(), prefix: prefix.trim() };
+  } catch (err) {
+    return null;
+  }
+}
+
+async function listRefs(repo) {
+  const output = await runGit(repo.root, ['for-each-ref', '--format=%(refname)%00%(objectname)']);
+  return output.split('\n').filter(Boolean).map((line) => {
+    const [name, commit] = line.split('\0');
+    return { name, shortName: name.replace(/^refs\/(?:heads|remotes|tags)\//, ''), commit };
+  });
+}
+
+function matchRefs(refs, patterns) {
+  return refs.filter((ref) => patterns.some((pattern) => pattern.test(ref.shortName)));
+}
+
+// Files added in the history of `ref` (minus commits reachable from `excludeRefs`) under `pathspec`,
+// keyed by repository-relative path. git log lists newest first, so the entry left for each path is
+// the commit that first added it.
+async function findAddedFiles(repo, ref, pathspec, excludeRefs = []) {
+  const output = await runGit(repo.root, [
+    'log', ref, ...(excludeRefs.length ? ['--not', ...excludeRefs] : []),
+    '--diff-filter=A', '--name-only', '--format=%x1e%H%x1f%an <%ae>%x1f%aI', '--', pathspec
+  ]);
+  const added = new Map();
+  let current = null;
+  for (const line of output.split('\n')) {
+    if (line.startsWith('\x1e')) {
+      const [commit, author, date] = line.slice(1).split('\x1f');
+      current = { commit, author, date };
+    } else if (line.trim() && current) {
+      added.set(line.trim(), current);
+    }
+  }
+  return added;
+}
+
+module.exports = {
+  runGit,
+  streamGit,
+  hashBlobs,
+  openRepository,
+  listRefs,
+  matchRefs,
+  findAddedFiles
+};
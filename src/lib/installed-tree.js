@@ -0,0 +1,179 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const { lookupAdvisory, lookupFeeds } = require('./scanner');
+
+const NPM_LOCKFILE_NAMES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+function flattenLegacyDependencies(depTree, prefix, bucket) {
+  for (const [name, info] of Object.entries(depTree || {})) {
+    if (!info || typeof info !== 'object') continue;
+    const key = `${prefix}node_modules/${name}`;
+    bucket[key] = { version: info.version };
+    flattenLegacyDependencies(info.dependencies, `${key}/`, bucket);
+  }
+  return bucket;
+}
+
+// Lockfile v1 nests packages under "dependencies"; flatten it into v2-style install paths.
+async function loadLockedPackages(rootDir) {
+  for (const fileName of NPM_LOCKFILE_NAMES) {
+    let lock;
+    try {
+      lock = JSON.parse(await fsp.readFile(path.join(rootDir, fileName), 'utf8'));
+    } catch (err) {
+      continue;
+    }
+    if (lock?.packages && typeof lock.packages === 'object') {
+      return { fileName, packages: lock.packages };
+    }
+    if (lock?.dependencies && typeof lock.dependencies === 'object') {
+      return { fileName, packages: flattenLegacyDependencies(lock.dependencies, '', { '': {} }) };
+    }
+  }
+  return null;
+}
+
+async function readInstalledManifest(packageDir) {
+  try {
+    const manifest = JSON.parse(await fsp.readFile(path.join(packageDir, 'package.json'), 'utf8'));
+    return manifest && typeof manifest === 'object' ? manifest : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function listDirectory(dir) {
+  try {
+    return await fsp.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+}
+
+async function resolveLink(linkPath) {
+  try {
+    const real = await fsp.realpath(linkPath);
+    return (await fsp.stat(real)).isDirectory() ? real : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Symlinked entries (workspace links, pnpm's virtual store) are resolved and read but not descended into;
+// pnpm's store is walked through node_modules/.pnpm/*/node_modules instead. Each real directory is recorded
+// once, under the first path that reaches it.
+async function collectInstalledPackages(rootDir, prefixes = ['']) {
+  const installed = [];
+  const visited = new Set();
+  const stack = prefixes.map((prefix) => (prefix ? `${prefix}/node_modules` : 'node_modules'));
+  while (stack.length) {
+    const modulesKey = stack.pop();
+    const candidates = [];
+    for (const dirent of await listDirectory(path.join(rootDir, modulesKey))) {
+      if (dirent.name === '.pnpm' && dirent.isDirectory()) {
+        for (const store of await listDirectory(path.join(rootDir, modulesKey, dirent.name))) {
+          if (store.isDirectory() && store.name !== 'node_modules') stack.push(`${modulesKey}/.pnpm/${store.name}/node_modules`);
+        }
+        continue;
+      }
+      if (dirent.name.startsWith('.')) continue;
+      if (dirent.name.startsWith('@') && dirent.isDirectory()) {
+        for (const scoped of await listDirectory(path.join(rootDir, modulesKey, dirent.name))) {
+          candidates.push({ name: `${dirent.name}/${scoped.name}`, dirent: scoped });
+        }
+        continue;
+      }
+      candidates.push({ name: dirent.name, dirent });
+    }
+    for (const { name, dirent } of candidates) {
+      const key = `${modulesKey}/${name}`;
+      const packageDir = path.join(rootDir, key);
+      const link = dirent.isSymbolicLink();
+      if (!link && !dirent.isDirectory()) continue;
+      const real = link ? await resolveLink(packageDir) : packageDir;
+      if (!real) {
+        installed.push({ key, name, version: null, link: true });
+        continue;
+      }
+      if (visited.has(real)) continue;
+      visited.add(real);
+      const manifest = await readInstalledManifest(real);
+      installed.push({
+        key,
+        name: typeof manifest?.name === 'string' ? manifest.name : name,
+        version: typeof manifest?.version === 'string' ? manifest.version : null,
+        link,
+        ...(link ? { target: path.relative(rootDir, real).split(path.sep).join('/') } : {})
+      });
+      if (!link) stack.push(`${key}/node_modules`);
+    }
+  }
+  return installed.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function auditInstalledPackages(installed, lockedPackages, datasetMap) {
+  const issues = [];
+  for (const pkg of installed) {
+    if (!pkg.version) continue;
+    // Linked packages are only checked against the dataset: npm records them as links without a version.
+    const locked = lockedPackages && !pkg.link ? lockedPackages[pkg.key] : undefined;
+    const lockedVersion = typeof locked?.version === 'string' ? locked.version : null;
+    const compromised = Boolean(datasetMap?.get(pkg.name)?.has(pkg.version));
+    const drifted = Boolean(lockedVersion && lockedVersion !== pkg.version);
+    const extraneous = Boolean(lockedPackages && !pkg.link && !locked);
+    if (!compromised && !drifted && !extraneous) continue;
+    const advisory = compromised ? lookupAdvisory(datasetMap, pkg.name, [pkg.version]) : null;
+    const feeds = compromised ? lookupFeeds(datasetMap, pkg.name, [pkg.version]) : null;
+    issues.push({
+      kind: compromised ? 'installed' : drifted ? 'installed-drift' : 'installed-extraneous',
+      name: pkg.name,
+      version: pkg.version,
+      location: pkg.key,
+      lockedVersion,
+      compromised,
+      drifted,
+      extraneous,
+      ...(advisory ? { advisory } : {}),
+      ...(feeds ? { feeds } : {})
+    });
+  }
+  return issues;
+}
+
+function formatInstalledMessage(issue) {
+  const driftNote = issue.drifted ? ` The lockfile says ${issue.lockedVersion}, disk has ${issue.version}.` : '';
+  if (issue.compromised) {
+    return `Installed package ${issue.name}@${issue.version} at ${issue.location} is a known compromised release.${driftNote}`;
+  }
+  if (issue.drifted) {
+    return `Installed ${issue.name} at ${issue.location} does not match the lockfile: lockfile says ${issue.lockedVersion}, disk has ${issue.version}.`;
+  }
+  return `Installed ${issue.name}@${issue.version} at ${issue.location} is not recorded in the lockfile.`;
+}
+
+function installedIssueSeverity(issue) {
+  if (issue.compromised) return 'high';
+  return issue.drifted ? 'medium' : 'low';
+}
+
+async function auditInstalledTree(rootDir, datasetMap) {
+  const lock = await loadLockedPackages(rootDir);
+  const workspacePrefixes = lock
+    ? Object.keys(lock.packages).filter((key) => key && !key.startsWith('node_modules/') && !key.includes('/node_modules/'))
+    : [];
+  const installed = await collectInstalledPackages(rootDir, ['', ...workspacePrefixes]);
+  return {
+    lockfile: lock ? lock.fileName : null,
+    installed,
+    issues: auditInstalledPackages(installed, lock ? lock.packages : null, datasetMap)
+  };
+}
+
+module.exports = {
+  loadLockedPackages,
+  collectInstalledPackages,
+  auditInstalledPackages,
+  formatInstalledMessage,
+  installedIssueSeverity,
+  auditInstalledTree
+};
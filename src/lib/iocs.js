@@ -15,6 +15,9 @@ const SUSPICIOUS_WORKFLOW_FILENAMES = [
   'shai-hulud-workflow.yaml'
 ];
 
+// Branch names the worm pushes its workflow from.
+const SUSPICIOUS_BRANCH_PATTERNS = [/shai[-_]?hulud/i];
+
 const SUSPICIOUS_POSTINSTALL_KEYWORDS = [
   'curl ',
   'wget ',
@@ -44,26 +47,31 @@ const SUSPICIOUS_POSTINSTALL_KEYWORDS = [
 
 const SUSPICIOUS_CONTENT_PATTERNS = [
   {
+    id: 'webhook-site-endpoint',
     label: 'webhook.site exfiltration endpoint',
     severity: 'medium',
     pattern: /webhook\.site/i
   },
   {
+    id: 'shai-hulud-webhook-guid',
     label: 'Known Shai-Hulud webhook GUID',
     severity: 'high',
     pattern: /bb8ca5f6-4175-45d2-b042-fc9ebb8170b7/i
   },
   {
+    id: 'crypto-theft-helper',
     label: 'Chalk/debug crypto theft helper',
     severity: 'high',
     pattern: /checkethereumw|runmask|newdlocal|_0x19ca67/i
   },
   {
+    id: 'shai-hulud-reference',
     label: 'Shai-Hulud reference',
     severity: 'medium',
     pattern: /shai[-\s]?hulud/i
   },
   {
+    id: 'phishing-helper-domain',
     label: 'Phishing helper domain',
     severity: 'medium',
     pattern: /npmjs\.help/i
@@ -107,9 +115,81 @@ const TEXT_FILE_EXTENSIONS = new Set([
   '.sh'
 ]);
 
+const extensionGlobs = (extensions) => Array.from(extensions, (ext) => `*${ext}`);
+const CONTENT_GLOBS = [...extensionGlobs(TEXT_FILE_EXTENSIONS), ...SUSPICIOUS_WORKFLOW_FILENAMES];
+
+// The indicators above expressed as a rule pack; packs passed with --rules are layered over it.
+const BUILTIN_RULE_PACK = {
+  id: 'builtin',
+  version: '1.0.0',
+  description: 'Indicators bundled with the scanner',
+  rules: [
+    {
+      id: 'malicious-payload-hash',
+      kind: 'hash',
+      severity: 'high',
+      description: 'File hash matches known Shai-Hulud payload',
+      files: extensionGlobs(HASHABLE_EXTENSIONS),
+      hashes: MALICIOUS_SHA256
+    },
+    {
+      id: 'malicious-workflow-filename',
+      kind: 'filename',
+      findingType: 'workflow',
+      severity: 'high',
+      description: 'Known malicious workflow filename detected.',
+      filenames: SUSPICIOUS_WORKFLOW_FILENAMES
+    },
+    {
+      id: 'lifecycle-download-exec',
+      kind: 'lifecycle',
+      severity: 'high',
+      description: 'Lifecycle script downloads and executes remote code',
+      detectors: ['download-exec']
+    },
+    {
+      id: 'lifecycle-encoded-payload',
+      kind: 'lifecycle',
+      severity: 'high',
+      description: 'Lifecycle script decodes and runs an encoded payload',
+      detectors: ['encoded-payload']
+    },
+    {
+      id: 'suspicious-postinstall',
+      kind: 'lifecycle',
+      severity: 'high',
+      description: 'Suspicious lifecycle command',
+      // `prepare` runs for most local builds, so plain keywords only apply to dependency install hooks.
+      scripts: ['preinstall', 'install', 'postinstall'],
+      keywords: SUSPICIOUS_POSTINSTALL_KEYWORDS
+    },
+    ...SUSPICIOUS_CONTENT_PATTERNS.map((info) => ({
+      id: info.id,
+      kind: 'content',
+      severity: info.severity,
+      description: info.label,
+      files: CONTENT_GLOBS,
+      pattern: info.pattern.source,
+      flags: info.pattern.flags
+    })),
+    {
+      id: 'trufflehog-reference',
+      kind: 'content',
+      findingType: 'trufflehog',
+      severity: 'medium',
+      description: 'Potential trufflehog credential scanning activity detected.',
+      files: CONTENT_GLOBS,
+      pattern: TRUFFLEHOG_PATTERNS.map((pattern) => pattern.source).join('|'),
+      flags: 'i'
+    }
+  ]
+};
+
 module.exports = {
+  BUILTIN_RULE_PACK,
   MALICIOUS_SHA256,
   SUSPICIOUS_WORKFLOW_FILENAMES,
+  SUSPICIOUS_BRANCH_PATTERNS,
   SUSPICIOUS_POSTINSTALL_KEYWORDS,
   SUSPICIOUS_CONTENT_PATTERNS,
   TRUFFLEHOG_PATTERNS,
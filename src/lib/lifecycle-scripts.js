@@ -0,0 +1,472 @@
+const fsp = require('fs').promises;
+const path = require('path');
+
+// Scripts npm runs on install; `prepare` also runs for git dependencies and local installs.
+const INSTALL_LIFECYCLE_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepublish', 'preprepare', 'prepare', 'postprepare'];
+const LIFECYCLE_DETECTORS = ['download-exec', 'encoded-payload'];
+
+const MAX_FOLLOWED_FILE_BYTES = 2 * 1024 * 1024;
+const MAX_NESTING = 4;
+const SEGMENT_PREVIEW_CHARS = 200;
+
+const COMMAND_WRAPPERS = new Set(['sudo', 'env', 'nohup', 'exec', 'command', 'time', 'nice']);
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+const POWERSHELLS = new Set(['powershell', 'pwsh']);
+const SCRIPT_RUNTIMES = new Set(['node', 'nodejs', 'bun', 'deno']);
+const INTERPRETERS = new Set([
+  ...SHELLS, ...POWERSHELLS, ...SCRIPT_RUNTIMES,
+  'python', 'python3', 'perl', 'ruby', 'php', 'iex', 'invoke-expression', 'eval', 'source', '.'
+]);
+const DOWNLOADERS = new Set(['curl', 'wget', 'invoke-webrequest', 'iwr', 'invoke-restmethod', 'irm', 'ftp', 'tftp']);
+const OUTPUT_FLAGS = {
+  curl: ['-o', '--output'],
+  wget: ['-O', '--output-document'],
+  'invoke-webrequest': ['-outfile'],
+  iwr: ['-outfile'],
+  'invoke-restmethod': ['-outfile'],
+  irm: ['-outfile']
+};
+const INLINE_CODE_FLAGS = new Set(['-e', '--eval', '-p', '--print', '-pe']);
+const POWERSHELL_ENCODED_FLAGS = /^-(?:e|ec|enc|encodedcommand)$/i;
+const POWERSHELL_COMMAND_FLAGS = /^-(?:c|command)$/i;
+
+const JS_SHELL_CALL = /\b(?:execSync|exec)\s*\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/g;
+const JS_DYNAMIC_EVAL = /\beval\s*\(|\bnew\s+Function\s*\(|\bvm\.runIn\w*\s*\(|\brunIn(?:New|This)Context\s*\(/;
+const JS_DECODE = /Buffer\.from\s*\([^)]*['"](?:base64|hex)['"]|\batob\s*\(/;
+const JS_NETWORK = /require\(\s*['"](?:node:)?https?['"]\s*\)|from\s+['"](?:node:)?https?['"]|\bfetch\s*\(|\baxios\b/;
+
+function readBalanced(text, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === '\\') {
+      i += 1;
+    } else if (char === '\'' || char === '"') {
+      const end = text.indexOf(char, i + 1);
+      i = end === -1 ? text.length : end;
+    } else if (char === open) {
+      depth += 1;
+    } else if (char === close) {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return text.length;
+}
+
+// Splits a script into simple commands the way a POSIX shell would: quotes and escapes are resolved,
+// `$(...)`, backticks and `<(...)` are captured as nested scripts, and each command remembers the
+// operator that follows it so pipelines and chains can be rebuilt.
+function tokenizeShell(script) {
+  const commands = [];
+  let command = null;
+  let word = null;
+  let pendingRedirect = null;
+
+  const startCommand = (index) => {
+    if (!command) command = { argv: [], redirects: [], substitutions: [], start: index, operator: null };
+  };
+  const endWord = () => {
+    if (word === null) return;
+    if (pendingRedirect) {
+      command.redirects.push({ op: pendingRedirect, target: word });
+      pendingRedirect = null;
+    } else {
+      command.argv.push(word);
+    }
+    word = null;
+  };
+  const endCommand = (operator, index) => {
+    endWord();
+    if (command) {
+      command.operator = operator;
+      command.text = script.slice(command.start, index).trim();
+      if (command.argv.length || command.substitutions.length) commands.push(command);
+    }
+    command = null;
+  };
+  const append = (text, index) => {
+    startCommand(index);
+    word = (word ?? '') + text;
+  };
+
+  for (let i = 0; i < script.length; i += 1) {
+    const char = script[i];
+    const next = script[i + 1];
+    if (char === ' ' || char === '\t' || char === '\r') {
+      endWord();
+    } else if (char === '\n') {
+      endCommand(';', i);
+    } else if (char === '#' && word === null) {
+      const end = script.indexOf('\n', i);
+      i = (end === -1 ? script.length : end) - 1;
+    } else if (char === '\\') {
+      if (next !== '\n') append(next ?? '', i);
+      i += 1;
+    } else if (char === '\'') {
+      const end = script.indexOf('\'', i + 1);
+      const stop = end === -1 ? script.length : end;
+      append(script.slice(i + 1, stop), i);
+      i = stop;
+    } else if (char === '"') {
+      startCommand(i);
+      let value = '';
+      let j = i + 1;
+      for (; j < script.length && script[j] !== '"'; j += 1) {
+        if (script[j] === '\\' && '"\\$`'.includes(script[j + 1])) {
+          value += script[j + 1];
+          j += 1;
+        } else if (script[j] === '$' && script[j + 1] === '(') {
+          const end = readBalanced(script, j + 1, '(', ')');
+          command.substitutions.push(script.slice(j + 2, end));
+          value += script.slice(j, end + 1);
+          j = end;
+        } else if (script[j] === '`') {
+          const end = script.indexOf('`', j + 1);
+          const stop = end === -1 ? script.length : end;
+          command.substitutions.push(script.slice(j + 1, stop));
+          value += script.slice(j, stop + 1);
+          j = stop;
+        } else {
+          value += script[j];
+        }
+      }
+      append(value, i);
+      i = j;
+    } else if ((char === '$' || ((char === '<' || char === '>') && word === null)) && next === '(') {
+      startCommand(i);
+      const end = readBalanced(script, i + 1, '(', ')');
+      command.substitutions.push(script.slice(i + 2, end));
+      append(script.slice(i, end + 1), i);
+      i = end;
+    } else if (char === '`') {
+      startCommand(i);
+      const end = script.indexOf('`', i + 1);
+      const stop = end === -1 ? script.length : end;
+      command.substitutions.push(script.slice(i + 1, stop));
+      append(script.slice(i, stop + 1), i);
+      i = stop;
+    } else if (char === '&' && next === '&') {
+      endCommand('&&', i);
+      i += 1;
+    } else if (char === '|' && next === '|') {
+      endCommand('||', i);
+      i += 1;
+    } else if (char === '|') {
+      endCommand('|', i);
+      if (next === '&') i += 1;
+    } else if (char === ';' || (char === '&' && next !== '>')) {
+      endCommand(char, i);
+    } else if (char === '>' || char === '<' || (char === '&' && next === '>')) {
+      startCommand(i);
+      // A bare file descriptor number ("2>") belongs to the redirect, not the argument list.
+      if (word !== null && /^\d+$/.test(word)) word = null;
+      endWord();
+      let op = char;
+      while (script[i + 1] === '>' || script[i + 1] === '<' || (op === '&' && script[i + 1] === '>')) {
+        op += script[i + 1];
+        i += 1;
+      }
+      if (script[i + 1] === '&') {
+        // fd duplication such as 2>&1 has no file target
+        i += 1;
+        while (/\d|-/.test(script[i + 1] || '')) i += 1;
+      } else {
+        pendingRedirect = op;
+      }
+    } else {
+      append(char, i);
+    }
+  }
+  endCommand(null, script.length);
+  return commands;
+}
+
+function commandName(word) {
+  return path.posix.basename(String(word).replace(/\\/g, '/')).toLowerCase().replace(/\.(?:exe|cmd|bat)$/, '');
+}
+
+// Drops leading VAR=value assignments and wrappers such as sudo/env so the real program is argv[0].
+function normalizeCommand(command) {
+  const argv = command.argv.slice();
+  while (argv.length) {
+    if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(argv[0])) {
+      argv.shift();
+    } else if (COMMAND_WRAPPERS.has(commandName(argv[0])) && argv.length > 1) {
+      argv.shift();
+      while (argv.length > 1 && argv[0].startsWith('-')) argv.shift();
+    } else {
+      break;
+    }
+  }
+  return { ...command, argv, name: argv.length ? commandName(argv[0]) : '', args: argv.slice(1) };
+}
+
+function groupPipelines(commands) {
+  const pipelines = [];
+  let current = [];
+  for (const command of commands) {
+    current.push(command);
+    if (command.operator !== '|') {
+      pipelines.push(current);
+      current = [];
+    }
+  }
+  if (current.length) pipelines.push(current);
+  return pipelines;
+}
+
+function isDownloader(command) {
+  if (DOWNLOADERS.has(command.name)) return true;
+  if (command.name === 'certutil') return command.args.some((arg) => /^[-/]urlcache$/i.test(arg));
+  if (command.name === 'bitsadmin') return command.args.some((arg) => /^\/transfer$/i.test(arg));
+  return false;
+}
+
+function isDecoder(command) {
+  const { name, args } = command;
+  if (name === 'base64') return args.some((arg) => arg === '-d' || arg === '-D' || arg === '--decode');
+  if (name === 'openssl') return args.includes('-d') && args.some((arg) => arg === 'base64' || arg === 'enc');
+  if (name === 'xxd') return args.includes('-r');
+  if (name === 'certutil') return args.some((arg) => /^[-/]decode$/i.test(arg));
+  return false;
+}
+
+// True when the interpreter takes its program from stdin rather than from a file or -c/-e argument.
+function readsProgramFromStdin(command) {
+  if (!INTERPRETERS.has(command.name)) return false;
+  if (command.name === 'iex' || command.name === 'invoke-expression') return true;
+  if (POWERSHELLS.has(command.name)) {
+    const index = command.args.findIndex((arg) => /^-(?:f|file|c|command|e|ec|enc|encodedcommand)$/i.test(arg));
+    return index === -1 || command.args[index + 1] === '-';
+  }
+  if (command.name === 'eval' || command.name === 'source' || command.name === '.') return false;
+  return command.args.every((arg) => arg === '-' || (arg.startsWith('-') && !/^-(?:c|e|m|p|pe|-eval|-print)$/.test(arg)));
+}
+
+function downloadTargets(command) {
+  const targets = [];
+  const flags = OUTPUT_FLAGS[command.name] || [];
+  command.args.forEach((arg, index) => {
+    const value = command.args[index + 1];
+    // curl and wget flags are case-sensitive (-o vs -O); PowerShell parameters are not.
+    const flag = command.name === 'curl' || command.name === 'wget' ? arg : arg.toLowerCase();
+    const combinedCurlFlag = command.name === 'curl' && /^-[a-zA-Z]*o$/.test(arg);
+    if ((flags.includes(flag) || combinedCurlFlag) && value && value !== '-') {
+      targets.push(value);
+    }
+  });
+  const remoteName = command.name === 'curl'
+    ? command.args.some((arg) => arg === '-O' || arg === '--remote-name' || /^-[a-zA-Z]*O$/.test(arg))
+    : command.name === 'wget' && !command.args.some((arg) => arg === '-O' || arg === '--output-document' || arg.startsWith('-qO'));
+  if (remoteName) {
+    for (const arg of command.args) {
+      if (!/^https?:\/\//i.test(arg)) continue;
+      try {
+        const baseName = path.posix.basename(new URL(arg).pathname);
+        if (baseName) targets.push(baseName);
+      } catch (err) {
+        // not a URL after all
+      }
+    }
+  }
+  if (command.name === 'certutil' || command.name === 'bitsadmin') {
+    // Both take the destination file as their last argument.
+    const last = command.args[command.args.length - 1];
+    if (last && !/^https?:\/\//i.test(last)) targets.push(last);
+  }
+  for (const redirect of command.redirects) {
+    if (redirect.op === '>' || redirect.op === '>>') targets.push(redirect.target);
+  }
+  return targets.map((target) => target.replace(/^\.\//, ''));
+}
+
+function inlineArgument(args, matcher) {
+  const index = args.findIndex((arg) => matcher(arg));
+  return index === -1 || index + 1 >= args.length ? null : args.slice(index + 1).join(' ');
+}
+
+function previewAround(text, index) {
+  const start = Math.max(0, index - 60);
+  return text.slice(start, start + SEGMENT_PREVIEW_CHARS).replace(/\s+/g, ' ').trim();
+}
+
+function emptyAnalysis() {
+  return { commands: [], detections: [], references: [] };
+}
+
+function mergeAnalysis(target, source) {
+  target.commands.push(...source.commands);
+  target.detections.push(...source.detections);
+  target.references.push(...source.references);
+  return target;
+}
+
+function analyzeJavaScript(code, depth = 0) {
+  const result = emptyAnalysis();
+  if (depth > MAX_NESTING) return result;
+  for (const match of code.matchAll(JS_SHELL_CALL)) {
+    const shellCommand = match[2].replace(/\\(["'`\\])/g, '$1');
+    // Files referenced from inside a bundle are not followed any further.
+    mergeAnalysis(result, { ...analyzeShellScript(shellCommand, depth + 1), references: [] });
+  }
+  const evalMatch = JS_DYNAMIC_EVAL.exec(code);
+  if (evalMatch) {
+    const segment = previewAround(code, evalMatch.index);
+    if (JS_DECODE.test(code)) result.detections.push({ detector: 'encoded-payload', segment });
+    if (JS_NETWORK.test(code)) result.detections.push({ detector: 'download-exec', segment });
+  }
+  return result;
+}
+
+function analyzeShellScript(script, depth = 0) {
+  const result = emptyAnalysis();
+  if (depth > MAX_NESTING) return result;
+  const commands = tokenizeShell(script).map(normalizeCommand);
+  const detect = (detector, segment) => result.detections.push({ detector, segment });
+
+  for (const pipeline of groupPipelines(commands)) {
+    const segment = pipeline.map((command) => command.text).join(' | ');
+    pipeline.forEach((stage, index) => {
+      const later = pipeline.slice(index + 1);
+      if (isDownloader(stage) && later.some(readsProgramFromStdin)) detect('download-exec', segment);
+      if (isDecoder(stage) && later.some(readsProgramFromStdin)) detect('encoded-payload', segment);
+    });
+  }
+
+  const downloaded = new Map();
+  for (const command of commands) {
+    result.commands.push(command);
+    const { name, args } = command;
+
+    for (const inner of command.substitutions) {
+      const nested = analyzeShellScript(inner, depth + 1);
+      mergeAnalysis(result, { ...nested, references: [] });
+      if (INTERPRETERS.has(name)) {
+        if (nested.commands.some(isDownloader)) detect('download-exec', command.text);
+        if (nested.commands.some(isDecoder)) detect('encoded-payload', command.text);
+      }
+    }
+
+    const executed = [command.argv[0], ...(INTERPRETERS.has(name) ? args : [])]
+      .filter(Boolean)
+      .map((word) => word.replace(/^\.\//, ''));
+    const fetchedBy = executed.map((word) => downloaded.get(word)).find(Boolean);
+    if (fetchedBy) detect('download-exec', `${fetchedBy} ... ${command.text}`);
+    if (isDownloader(command)) {
+      for (const target of downloadTargets(command)) downloaded.set(target, command.text);
+    }
+
+    if (SHELLS.has(name)) {
+      const inline = inlineArgument(args, (arg) => /^-[a-z]*c$/.test(arg));
+      if (inline !== null) {
+        mergeAnalysis(result, analyzeShellScript(inline, depth + 1));
+      } else {
+        const file = args.find((arg) => !arg.startsWith('-'));
+        if (file) result.references.push({ path: file, type: 'shell' });
+      }
+    } else if (POWERSHELLS.has(name)) {
+      if (args.some((arg) => POWERSHELL_ENCODED_FLAGS.test(arg))) detect('encoded-payload', command.text);
+      const inline = inlineArgument(args, (arg) => POWERSHELL_COMMAND_FLAGS.test(arg));
+      if (inline !== null) mergeAnalysis(result, analyzeShellScript(inline, depth + 1));
+    } else if (name === 'cmd') {
+      const inline = inlineArgument(args, (arg) => /^\/[ck]$/i.test(arg));
+      if (inline !== null) mergeAnalysis(result, analyzeShellScript(inline, depth + 1));
+    } else if (SCRIPT_RUNTIMES.has(name)) {
+      const inline = inlineArgument(args, (arg) => INLINE_CODE_FLAGS.has(arg));
+      if (inline !== null) {
+        mergeAnalysis(result, analyzeJavaScript(inline, depth + 1));
+      } else {
+        const file = args.find((arg) => !arg.startsWith('-') && arg !== 'run');
+        if (file) result.references.push({ path: file, type: 'js' });
+      }
+    } else if (/\.(?:sh|bash)$/.test(name) && command.argv[0].includes('/')) {
+      result.references.push({ path: command.argv[0], type: 'shell' });
+    }
+  }
+  return result;
+}
+
+// Keywords whose first word looks like a program name match commands (`node -e` matches argv
+// ["node", "--no-warnings", "-e", ...]); anything else is matched as text within the command.
+function compileKeywords(keywords = []) {
+  const matchers = keywords.map((keyword) => {
+    const words = keyword.trim().split(/\s+/);
+    if (/^[\w.-]+$/.test(words[0])) {
+      const program = words[0].toLowerCase();
+      const flags = words.slice(1);
+      return (command) => command.name === program && flags.every((flag) => command.args.includes(flag));
+    }
+    const needle = keyword.trim();
+    return (command) => command.text.includes(needle);
+  });
+  return (command) => matchers.some((matches) => matches(command));
+}
+
+async function readReferencedFile(packageDir, reference) {
+  const absolute = path.resolve(packageDir, reference);
+  const relative = path.relative(packageDir, absolute);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  try {
+    const stat = await fsp.stat(absolute);
+    if (!stat.isFile() || stat.size > MAX_FOLLOWED_FILE_BYTES) return null;
+    return { source: relative.split(path.sep).join('/'), text: await fsp.readFile(absolute, 'utf8') };
+  } catch (err) {
+    return null;
+  }
+}
+
+// `readFile` resolves a script reference against `packageDir`; archive scans pass one that reads entries in memory.
+async function inspectLifecycleScripts(manifest, packageDir, rules, readFile = readReferencedFile) {
+  const scripts = manifest?.scripts;
+  if (!scripts || typeof scripts !== 'object' || !rules.length) return [];
+  const hits = [];
+  const seen = new Set();
+  for (const script of INSTALL_LIFECYCLE_SCRIPTS) {
+    if (typeof scripts[script] !== 'string') continue;
+    const analysis = analyzeShellScript(scripts[script]);
+    const units = [{ source: null, analysis }];
+    for (const reference of analysis.references) {
+      const file = await readFile(packageDir, reference.path);
+      if (!file || units.some((unit) => unit.source === file.source)) continue;
+      const followed = reference.type === 'js' ? analyzeJavaScript(file.text) : analyzeShellScript(file.text);
+      units.push({ source: file.source, analysis: followed });
+    }
+
+    const applicable = rules.filter((rule) => !rule.scripts || rule.scripts.includes(script));
+    // A command inside a segment a detector rule already reports is not reported again as a keyword hit.
+    const detectedSegments = units.map(({ analysis: unit }) => unit.detections
+      .filter((detection) => applicable.some((rule) => rule.detectors?.includes(detection.detector)))
+      .map((detection) => detection.segment));
+    for (const rule of applicable) {
+      const report = (source, segment, detector) => {
+        const key = `${rule.id}|${script}|${source}|${segment}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        hits.push({ rule, script, segment, ...(source ? { source } : {}), ...(detector ? { detector } : {}) });
+      };
+      units.forEach(({ source, analysis: unit }, index) => {
+        for (const detection of unit.detections) {
+          if (rule.detectors?.includes(detection.detector)) report(source, detection.segment, detection.detector);
+        }
+        for (const command of unit.commands) {
+          if (detectedSegments[index].some((segment) => segment.includes(command.text))) continue;
+          if (rule.matchesCommand(command)) report(source, command.text);
+        }
+      });
+    }
+  }
+  return hits;
+}
+
+module.exports = {
+  INSTALL_LIFECYCLE_SCRIPTS,
+  LIFECYCLE_DETECTORS,
+  tokenizeShell,
+  analyzeShellScript,
+  analyzeJavaScript,
+  isDownloader,
+  isDecoder,
+  compileKeywords,
+  inspectLifecycleScripts
+};
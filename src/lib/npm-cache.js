@@ -0,0 +1,159 @@
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_NPM_CACHE_DIR = path.join(os.homedir(), '.npm', '_cacache');
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+const INDEX_DIR = 'index-v5';
+const CONTENT_DIR = 'content-v2';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function bucketPath(cacheDir, key) {
+  const hashed = hashKey(key);
+  return path.join(cacheDir, INDEX_DIR, hashed.slice(0, 2), hashed.slice(2, 4), hashed.slice(4));
+}
+
+// Each bucket line is "<sha1 of json>\t<json>"; lines whose checksum does not match were torn writes and are skipped.
+function parseIndexBucket(raw) {
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    const tabIndex = line.indexOf('\t');
+    if (tabIndex === -1) continue;
+    const checksum = line.slice(0, tabIndex);
+    const json = line.slice(tabIndex + 1);
+    if (crypto.createHash('sha1').update(json).digest('hex') !== checksum) continue;
+    try {
+      entries.push(JSON.parse(json));
+    } catch (err) {
+      // skip malformed index lines
+    }
+  }
+  return entries;
+}
+
+async function readIndexBucket(bucketFile) {
+  try {
+    return parseIndexBucket(await fsp.readFile(bucketFile, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+function contentPath(cacheDir, integrity) {
+  const [first] = String(integrity || '').trim().split(/\s+/);
+  const dashIndex = first.indexOf('-');
+  if (dashIndex === -1) return null;
+  const algorithm = first.slice(0, dashIndex);
+  const hex = Buffer.from(first.slice(dashIndex + 1), 'base64').toString('hex');
+  if (!hex) return null;
+  return path.join(cacheDir, CONTENT_DIR, algorithm, hex.slice(0, 2), hex.slice(2, 4), hex.slice(4));
+}
+
+async function readCacheEntry(cacheDir, key) {
+  const entries = await readIndexBucket(bucketPath(cacheDir, key));
+  const latest = entries.filter((entry) => entry.key === key).pop();
+  // A null integrity is cacache's tombstone for a removed entry.
+  return latest && latest.integrity ? latest : null;
+}
+
+async function readCachedContent(cacheDir, key) {
+  const entry = await readCacheEntry(cacheDir, key);
+  if (!entry) return null;
+  const file = contentPath(cacheDir, entry.integrity);
+  if (!file) return null;
+  try {
+    return await fsp.readFile(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Latest live entry for every key in the cache, in no particular order.
+async function listCacheEntries(cacheDir) {
+  const indexDir = path.join(cacheDir, INDEX_DIR);
+  const latest = new Map();
+  const stack = [indexDir];
+  while (stack.length) {
+    const current = stack.pop();
+    let dirents;
+    try {
+      dirents = await fsp.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT' && current === indexDir) return [];
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    for (const dirent of dirents) {
+      const entryPath = path.join(current, dirent.name);
+      if (dirent.isDirectory()) {
+        stack.push(entryPath);
+      } else if (dirent.isFile()) {
+        for (const entry of await readIndexBucket(entryPath)) {
+          latest.set(entry.key, { ...entry, bucket: entryPath });
+        }
+      }
+    }
+  }
+  return Array.from(latest.values()).filter((entry) => entry.integrity);
+}
+
+// Same as `cacache.rm.entry`: a null-integrity tombstone hides the key until `npm cache verify` compacts the bucket.
+async function removeCacheEntry(cacheDir, key) {
+  const tombstone = JSON.stringify({ key, integrity: null, time: Date.now(), size: 0, metadata: null });
+  const checksum = crypto.createHash('sha1').update(tombstone).digest('hex');
+  await fsp.appendFile(bucketPath(cacheDir, key), `\n${checksum}\t${tombstone}`);
+}
+
+async function removeCacheContent(cacheDir, integrity) {
+  const file = contentPath(cacheDir, integrity);
+  if (file) await fsp.rm(file, { force: true });
+}
+
+// Registry tarball URLs look like <registry>/<name>/-/<unscoped name>-<version>.tgz.
+function parseTarballUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (err) {
+    return null;
+  }
+  const match = /\/((?:@[^/]+(?:\/|%2f))?[^/]+)\/-\/([^/]+)\.tgz$/i.exec(pathname);
+  if (!match) return null;
+  const name = decodeURIComponent(match[1]);
+  const unscoped = name.split('/').pop();
+  if (!match[2].startsWith(`${unscoped}-`)) return null;
+  return { name, version: match[2].slice(unscoped.length + 1) };
+}
+
+function escapePackageName(name) {
+  return name.startsWith('@') ? name.replace('/', '%2f') : name;
+}
+
+function packumentCacheKey(name, registry = DEFAULT_REGISTRY) {
+  return `make-fetch-happen:request-cache:${registry.replace(/\/+$/, '')}/${escapePackageName(name)}`;
+}
+
+module.exports = {
+  DEFAULT_NPM_CACHE_DIR,
+  DEFAULT_REGISTRY,
+  INDEX_DIR,
+  bucketPath,
+  parseIndexBucket,
+  readIndexBucket,
+  contentPath,
+  readCacheEntry,
+  readCachedContent,
+  listCacheEntries,
+  removeCacheEntry,
+  removeCacheContent,
+  parseTarballUrl,
+  escapePackageName,
+  packumentCacheKey
+};
@@ -0,0 +1,102 @@
+const DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+// Only the project and its workspaces install their devDependencies; a package's own are never installed.
+const ROOT_DEPENDENCY_FIELDS = [...DEPENDENCY_FIELDS, 'devDependencies'];
+const NODE_MODULES_SEGMENT = 'node_modules/';
+
+function installedName(pkgKey) {
+  const index = pkgKey.lastIndexOf(NODE_MODULES_SEGMENT);
+  return index === -1 ? pkgKey : pkgKey.slice(index + NODE_MODULES_SEGMENT.length);
+}
+
+function isRootKey(pkgKey) {
+  return pkgKey === '' || (!pkgKey.startsWith(NODE_MODULES_SEGMENT) && !pkgKey.includes(`/${NODE_MODULES_SEGMENT}`));
+}
+
+// Mirrors Node's lookup: the nearest node_modules/<name>, walking up from the requiring package.
+function resolveInstallPath(packages, fromKey, name) {
+  let base = fromKey;
+  for (;;) {
+    const candidate = base ? `${base}/${NODE_MODULES_SEGMENT}${name}` : `${NODE_MODULES_SEGMENT}${name}`;
+    if (packages[candidate]) return candidate;
+    if (!base) return null;
+    const index = base.lastIndexOf(`/${NODE_MODULES_SEGMENT}`);
+    base = index === -1 ? '' : base.slice(0, index);
+  }
+}
+
+function followLink(packages, pkgKey) {
+  const meta = pkgKey === null ? null : packages[pkgKey];
+  if (meta?.link && typeof meta.resolved === 'string' && packages[meta.resolved]) {
+    return meta.resolved;
+  }
+  return pkgKey;
+}
+
+function buildDependencyGraph(packages) {
+  const edges = new Map();
+  for (const [pkgKey, meta] of Object.entries(packages)) {
+    if (!meta || typeof meta !== 'object' || meta.link) continue;
+    const children = new Set();
+    for (const field of isRootKey(pkgKey) ? ROOT_DEPENDENCY_FIELDS : DEPENDENCY_FIELDS) {
+      const deps = meta[field];
+      if (!deps || typeof deps !== 'object') continue;
+      for (const name of Object.keys(deps)) {
+        const target = followLink(packages, resolveInstallPath(packages, pkgKey, name));
+        if (target !== null && target !== pkgKey) children.add(target);
+      }
+    }
+    edges.set(pkgKey, Array.from(children));
+  }
+  return edges;
+}
+
+function walkFrom(edges, rootKey) {
+  const parents = new Map([[rootKey, null]]);
+  const queue = [rootKey];
+  while (queue.length) {
+    const current = queue.shift();
+    for (const child of edges.get(current) || []) {
+      if (parents.has(child)) continue;
+      parents.set(child, current);
+      queue.push(child);
+    }
+  }
+  return parents;
+}
+
+// Lockfile v2/v3 "packages" maps lose the requirement graph; rebuild it and report, for each root
+// (the project and every workspace), the shortest chain that pulls a given install location in.
+function createDependencyPathFinder(packages) {
+  let trees = null;
+  const label = (pkgKey) => {
+    const meta = packages[pkgKey] || {};
+    if (isRootKey(pkgKey)) return meta.name || pkgKey || 'root';
+    return meta.name || installedName(pkgKey);
+  };
+
+  return (targetKey) => {
+    if (!packages || !packages[targetKey] || isRootKey(targetKey)) return [];
+    if (!trees) {
+      const edges = buildDependencyGraph(packages);
+      trees = Object.keys(packages).filter(isRootKey).map((rootKey) => walkFrom(edges, rootKey));
+    }
+    const target = packages[targetKey];
+    const paths = [];
+    for (const parents of trees) {
+      if (!parents.has(targetKey)) continue;
+      const chain = [];
+      for (let cursor = parents.get(targetKey); cursor !== null; cursor = parents.get(cursor)) {
+        chain.unshift(label(cursor));
+      }
+      chain.push(`${target.name || installedName(targetKey)}@${target.version}`);
+      paths.push(chain.join(' > '));
+    }
+    return paths;
+  };
+}
+
+module.exports = {
+  resolveInstallPath,
+  buildDependencyGraph,
+  createDependencyPathFinder
+};
@@ -0,0 +1,243 @@
+const acorn = require('acorn');
+
+const OBFUSCATION_EXTENSIONS = new Set(['.js', '.cjs', '.mjs']);
+const MAX_SCORE = 100;
+
+const HEX_IDENTIFIER = /^_0x[0-9a-f]{3,}$/i;
+const BLOB_MIN_LENGTH = 256;
+const BLOB_MIN_ENTROPY = 4.2;
+const STRING_TABLE_MIN_ENTRIES = 100;
+const DYNAMIC_CODE_CALLEES = new Set(['eval', 'Function', 'runInThisContext', 'runInNewContext', 'runInContext', 'compileFunction']);
+const DECODER_CALLEES = new Set(['atob', 'unescape', 'decodeURIComponent', 'fromCharCode', 'fromCodePoint']);
+const NETWORK_MODULES = new Set(['http', 'https', 'http2', 'net', 'tls', 'dns', 'dgram', 'axios', 'node-fetch', 'undici', 'got', 'request']);
+const NETWORK_GLOBALS = new Set(['fetch', 'XMLHttpRequest', 'WebSocket']);
+
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Long strings without spaces and with near-random character distribution: base64/hex payloads, packed code.
+function blobEntropy(text) {
+  if (typeof text !== 'string' || text.length < BLOB_MIN_LENGTH) return null;
+  if ((text.match(/\s/g) || []).length / text.length > 0.02) return null;
+  const entropy = shannonEntropy(text);
+  return entropy >= BLOB_MIN_ENTROPY ? entropy : null;
+}
+
+function parseSource(code) {
+  const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true, allowAwaitOutsideFunction: true };
+  for (const sourceType of ['script', 'module']) {
+    try {
+      return acorn.parse(code, { ...options, sourceType });
+    } catch (err) {
+      // try the next source type
+    }
+  }
+  return null;
+}
+
+function calleeName(callee) {
+  if (!callee) return null;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression') {
+    if (!callee.computed && callee.property.type === 'Identifier') return callee.property.name;
+    if (callee.property.type === 'Literal') return String(callee.property.value);
+  }
+  return null;
+}
+
+function isProcessEnv(node) {
+  return node?.type === 'MemberExpression'
+    && node.object.type === 'Identifier'
+    && node.object.name === 'process'
+    && (node.property.name === 'env' || node.property.value === 'env');
+}
+
+function moduleName(value) {
+  return typeof value === 'string' ? value.replace(/^node:/, '') : null;
+}
+
+// Iterative walk: obfuscated bundles nest deeply enough to overflow a recursive visitor.
+function forEachNode(root, visit) {
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    visit(node);
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (let i = value.length - 1; i >= 0; i -= 1) {
+          if (value[i] && typeof value[i].type === 'string') stack.push(value[i]);
+        }
+      } else if (value && typeof value.type === 'string') {
+        stack.push(value);
+      }
+    }
+  }
+}
+
+function containsDecoder(node) {
+  let found = false;
+  forEachNode(node, (child) => {
+    if (found || child.type !== 'CallExpression') return;
+    const name = calleeName(child.callee);
+    if (DECODER_CALLEES.has(name) || HEX_IDENTIFIER.test(name || '')) {
+      found = true;
+    } else if (name === 'from' && child.callee.object?.name === 'Buffer') {
+      const encoding = child.arguments[1];
+      found = encoding?.type === 'Literal' && ['base64', 'hex', 'base64url'].includes(encoding.value);
+    }
+  });
+  return found;
+}
+
+function emptyFacts(parsed) {
+  return {
+    parsed,
+    identifiers: 0,
+    hexIdentifiers: 0,
+    largestStringTable: 0,
+    blobs: [],
+    decodedDynamicCode: 0,
+    computedDynamicCode: 0,
+    readsEnv: false,
+    serializesEnv: false,
+    network: new Set()
+  };
+}
+
+function collectAstFacts(ast) {
+  const facts = emptyFacts(true);
+  const identifiers = new Set();
+  const hexIdentifiers = new Set();
+  forEachNode(ast, (node) => {
+    switch (node.type) {
+      case 'Identifier':
+        identifiers.add(node.name);
+        if (HEX_IDENTIFIER.test(node.name)) hexIdentifiers.add(node.name);
+        break;
+      case 'Literal': {
+        const entropy = blobEntropy(node.value);
+        if (entropy) facts.blobs.push({ length: node.value.length, entropy });
+        break;
+      }
+      case 'TemplateElement': {
+        const entropy = blobEntropy(node.value.cooked);
+        if (entropy) facts.blobs.push({ length: node.value.cooked.length, entropy });
+        break;
+      }
+      case 'ArrayExpression': {
+        const strings = node.elements.filter((element) => element?.type === 'Literal' && typeof element.value === 'string').length;
+        facts.largestStringTable = Math.max(facts.largestStringTable, strings);
+        break;
+      }
+      case 'MemberExpression':
+        if (isProcessEnv(node)) facts.readsEnv = true;
+        break;
+      case 'ImportDeclaration':
+      case 'ImportExpression': {
+        const name = moduleName(node.source?.value);
+        if (NETWORK_MODULES.has(name)) facts.network.add(name);
+        break;
+      }
+      case 'NewExpression':
+      case 'CallExpression': {
+        const name = calleeName(node.callee);
+        if (name === 'require' && node.arguments[0]?.type === 'Literal') {
+          const required = moduleName(node.arguments[0].value);
+          if (NETWORK_MODULES.has(required)) facts.network.add(required);
+        } else if (NETWORK_GLOBALS.has(name) && node.callee.type === 'Identifier') {
+          facts.network.add(name);
+        } else if (DYNAMIC_CODE_CALLEES.has(name)) {
+          const computed = node.arguments.some((arg) => arg.type !== 'Literal' && arg.type !== 'TemplateLiteral');
+          if (node.arguments.some(containsDecoder)) {
+            facts.decodedDynamicCode += 1;
+          } else if (computed) {
+            facts.computedDynamicCode += 1;
+          }
+        } else if (name === 'stringify' && node.arguments.some(isProcessEnv)) {
+          facts.serializesEnv = true;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  facts.identifiers = identifiers.size;
+  facts.hexIdentifiers = hexIdentifiers.size;
+  return facts;
+}
+
+// Fallback for sources acorn cannot parse (JSX, TypeScript, truncated files): the same facts, from regexes.
+function collectTextFacts(code) {
+  const facts = emptyFacts(false);
+  const identifiers = new Set(code.match(/[A-Za-z_$][\w$]*/g) || []);
+  facts.identifiers = identifiers.size;
+  facts.hexIdentifiers = Array.from(identifiers).filter((name) => HEX_IDENTIFIER.test(name)).length;
+  for (const match of code.matchAll(/(['"`])((?:\\.|(?!\1)[^\\\n]){256,})\1/g)) {
+    const entropy = blobEntropy(match[2]);
+    if (entropy) facts.blobs.push({ length: match[2].length, entropy });
+  }
+  facts.readsEnv = /\bprocess\.env\b/.test(code);
+  facts.serializesEnv = /JSON\.stringify\(\s*process\.env\s*\)/.test(code);
+  for (const match of code.matchAll(/(?:require\(\s*|from\s+)['"](?:node:)?([\w-]+)['"]/g)) {
+    if (NETWORK_MODULES.has(match[1])) facts.network.add(match[1]);
+  }
+  if (/\bfetch\s*\(/.test(code)) facts.network.add('fetch');
+  const dynamicCode = code.match(/\b(?:eval|Function)\s*\([^;]{0,200}/g) || [];
+  facts.decodedDynamicCode = dynamicCode.filter((call) => /atob\(|fromCharCode|Buffer\.from\([^)]*['"](?:base64|hex)['"]|_0x[0-9a-f]{3,}\(/i.test(call)).length;
+  return facts;
+}
+
+function scoreFacts(facts) {
+  const reasons = [];
+  const add = (id, weight, detail) => reasons.push({ id, weight, detail });
+  const hexShare = facts.identifiers ? facts.hexIdentifiers / facts.identifiers : 0;
+  if (facts.hexIdentifiers >= 20 && hexShare >= 0.3) {
+    add('hex-identifiers', 35, `dense _0x identifier table (${facts.hexIdentifiers} of ${facts.identifiers} identifiers)`);
+  } else if (facts.hexIdentifiers >= 5) {
+    add('hex-identifiers', 15, `${facts.hexIdentifiers} _0x-style identifiers`);
+  }
+  if (facts.largestStringTable >= STRING_TABLE_MIN_ENTRIES) {
+    add('string-table', 10, `string array with ${facts.largestStringTable} entries`);
+  }
+  if (facts.blobs.length) {
+    const longest = facts.blobs.reduce((best, blob) => (blob.length > best.length ? blob : best));
+    add('high-entropy-strings', 20, `${facts.blobs.length} high-entropy string(s), longest ${longest.length} chars at ${longest.entropy.toFixed(2)} bits/char`);
+  }
+  if (facts.decodedDynamicCode) {
+    add('decoded-dynamic-code', 35, `eval/Function built from decoded strings (${facts.decodedDynamicCode} call(s))`);
+  } else if (facts.computedDynamicCode) {
+    add('dynamic-code', 10, `eval/Function with computed arguments (${facts.computedDynamicCode} call(s))`);
+  }
+  if (facts.readsEnv && facts.network.size) {
+    add('env-exfiltration', 25, `reads process.env and calls network APIs (${Array.from(facts.network).sort().join(', ')})`);
+    if (facts.serializesEnv) add('env-serialization', 10, 'serializes the whole process.env');
+  }
+  const score = Math.min(MAX_SCORE, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+  return { score, reasons, parsed: facts.parsed };
+}
+
+function analyzeObfuscation(code) {
+  const ast = parseSource(code);
+  return scoreFacts(ast ? collectAstFacts(ast) : collectTextFacts(code));
+}
+
+function formatObfuscationReasons(analysis) {
+  return analysis.reasons.map((reason) => reason.detail).join('; ');
+}
+
+module.exports = {
+  OBFUSCATION_EXTENSIONS,
+  shannonEntropy,
+  analyzeObfuscation,
+  formatObfuscationReasons
+};
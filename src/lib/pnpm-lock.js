@@ -0,0 +1,139 @@
+const { parseDocument, LineCounter, isMap, isScalar } = require('yaml');
+
+const PNPM_LOCK_HEADER = /^lockfileVersion:/m;
+const PNPM_V5_KEY = /^((?:@[^/]+\/)?[^/@]+)\/(\d[^/]*)$/;
+const PNPM_DEPENDENCY_SECTIONS = [
+  ['dependencies', 'runtime'],
+  ['devDependencies', 'dev'],
+  ['optionalDependencies', 'optional']
+];
+
+function isPnpmLock(text) {
+  return typeof text === 'string' && PNPM_LOCK_HEADER.test(text) && !/^__metadata:/m.test(text);
+}
+
+function stripPeerSuffix(value) {
+  const parenIndex = value.indexOf('(');
+  return parenIndex === -1 ? value : value.slice(0, parenIndex);
+}
+
+// lockfile v5 appends peer resolutions to the version with an underscore instead of parentheses
+function stripV5PeerSuffix(version) {
+  const underscoreIndex = version.indexOf('_');
+  return underscoreIndex === -1 ? version : version.slice(0, underscoreIndex);
+}
+
+// Handles `/name/1.0.0_peer` (v5), `/name@1.0.0(peer)` (v6) and `name@1.0.0(peer)` (v9).
+function parsePnpmPackageKey(key) {
+  if (typeof key !== 'string' || !key) return null;
+  const trimmed = stripPeerSuffix(key.replace(/^\//, ''));
+  const v5Match = trimmed.match(PNPM_V5_KEY);
+  if (v5Match) {
+    return { name: v5Match[1], version: stripV5PeerSuffix(v5Match[2]) };
+  }
+  const atIndex = trimmed.lastIndexOf('@');
+  if (atIndex > 0) {
+    return { name: trimmed.slice(0, atIndex), version: trimmed.slice(atIndex + 1) };
+  }
+  return null;
+}
+
+function resolveDependencyRef(depName, ref) {
+  if (ref && typeof ref === 'object') {
+    return resolveDependencyRef(depName, ref.version);
+  }
+  if (typeof ref !== 'string' || !ref || /^(link|file|workspace):/.test(ref)) return null;
+  if (/^\d/.test(ref)) {
+    return { name: depName, version: stripV5PeerSuffix(stripPeerSuffix(ref)) };
+  }
+  return parsePnpmPackageKey(ref);
+}
+
+function collectDependencyRefs(block) {
+  const refs = [];
+  for (const [section, label] of PNPM_DEPENDENCY_SECTIONS) {
+    const deps = block?.[section];
+    if (!deps || typeof deps !== 'object') continue;
+    for (const [depName, ref] of Object.entries(deps)) {
+      const resolved = resolveDependencyRef(depName, ref);
+      if (resolved) refs.push({ ...resolved, section: label, alias: resolved.name !== depName ? depName : null });
+    }
+  }
+  return refs;
+}
+
+function parsePnpmLock(text) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(String(text), { schema: 'failsafe', lineCounter });
+  if (doc.errors.length) {
+    throw new Error(doc.errors[0].message);
+  }
+  if (!isMap(doc.contents)) {
+    return { lockfileVersion: null, packages: [], importers: [] };
+  }
+  const root = doc.contents.toJSON();
+
+  const packages = new Map();
+  for (const sectionName of ['packages', 'snapshots']) {
+    const section = doc.contents.get(sectionName, true);
+    if (!isMap(section)) continue;
+    for (const pair of section.items) {
+      const key = isScalar(pair.key) ? String(pair.key.value) : null;
+      const parsed = parsePnpmPackageKey(key);
+      if (!parsed) continue;
+      const meta = isMap(pair.value) ? pair.value.toJSON() : {};
+      const id = `${parsed.name}@${parsed.version}`;
+      if (!packages.has(id)) {
+        packages.set(id, {
+          ...parsed,
+          key,
+          integrity: meta.resolution?.integrity || null,
+          line: lineCounter.linePos(pair.key.range[0]).line,
+          dependencies: []
+        });
+      }
+      packages.get(id).dependencies.push(...collectDependencyRefs(meta));
+    }
+  }
+
+  // Lockfiles without workspaces keep the root project's dependencies at the top level.
+  const importerBlocks = root.importers && typeof root.importers === 'object'
+    ? root.importers
+    : { '.': root };
+  const importers = Object.entries(importerBlocks).map(([id, block]) => ({
+    id,
+    dependencies: collectDependencyRefs(block)
+  }));
+
+  for (const importer of importers) {
+    const queue = importer.dependencies.map((dep) => `${dep.name}@${dep.version}`);
+    const visited = new Set();
+    while (queue.length) {
+      const id = queue.shift();
+      if (visited.has(id)) continue;
+      visited.add(id);
+      const pkg = packages.get(id);
+      if (!pkg) continue;
+      if (!pkg.importers) pkg.importers = new Set();
+      pkg.importers.add(importer.id);
+      for (const dep of pkg.dependencies) {
+        queue.push(`${dep.name}@${dep.version}`);
+      }
+    }
+  }
+
+  return {
+    lockfileVersion: root.lockfileVersion || null,
+    packages: Array.from(packages.values()).map((pkg) => ({
+      ...pkg,
+      importers: pkg.importers ? Array.from(pkg.importers).sort() : []
+    })),
+    importers
+  };
+}
+
+module.exports = {
+  isPnpmLock,
+  parsePnpmPackageKey,
+  parsePnpmLock
+};
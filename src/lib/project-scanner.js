@@ -1,47 +1,35 @@
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
-const crypto = require('crypto');
-const {
-  MALICIOUS_SHA256,
-  SUSPICIOUS_WORKFLOW_FILENAMES,
-  SUSPICIOUS_POSTINSTALL_KEYWORDS,
-  SUSPICIOUS_CONTENT_PATTERNS,
-  TRUFFLEHOG_PATTERNS,
-  DEFAULT_DIR_EXCLUSIONS,
-  HASHABLE_EXTENSIONS,
-  TEXT_FILE_EXTENSIONS
-} = require('./iocs');
-const { scanParsedJson } = require('./scanner');
-
-const MAX_TEXT_BYTES = 512 * 1024;
+const { DEFAULT_DIR_EXCLUSIONS } = require('./iocs');
+const { scanParsedJson, scanContent } = require('./scanner');
+const { BASELINE_FILENAME, fingerprintFinding, createBaselineMatcher } = require('./baseline');
+const { FILE_INSPECTOR_ROLE, serializePatterns, compilePatterns, inspectBuffer } = require('./file-inspector');
+const { createWorkerPool, defaultConcurrency } = require('./worker-pool');
+const { computeRulesetDigest, openScanCache } = require('./scan-cache');
+const { auditInstalledTree, formatInstalledMessage, installedIssueSeverity } = require('./installed-tree');
+const { createRuleSet, describeRule } = require('./rule-packs');
+const { inspectLifecycleScripts } = require('./lifecycle-scripts');
+const { OBFUSCATION_EXTENSIONS, formatObfuscationReasons } = require('./obfuscation');
+const { isWorkflowPath, analyzeWorkflow, formatWorkflowMessage, findWormBranchWorkflows } = require('./workflows');
+const { scanGitHistory, formatHistoryMessage } = require('./git-history');
+const { isTarballName, readTarball } = require('./tarball');
+const { isCredentialSourcePath, assessCredentialExposure } = require('./credential-exposure');
+const { discoverWorkspaces, createWorkspaceResolver, attributeWorkspaces, summarizeWorkspaces } = require('./workspaces');
+const { OBFUSCATION_THRESHOLD } = require('../config');
+
+const FILE_INSPECTOR_PATH = require.resolve('./file-inspector');
+const LOCKFILE_NAMES = new Set([
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lock'
+]);
 const SELF_CONTENT_ALLOWLIST = new Set([
   'src/lib/iocs.js'
 ]);
 
-async function computeSha256(filePath) {
-  return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('sha256');
-    const stream = fs.createReadStream(filePath);
-    stream.on('error', reject);
-    stream.on('data', (chunk) => hash.update(chunk));
-    stream.on('end', () => resolve(hash.digest('hex')));
-  });
-}
-
-async function readFileLimited(filePath, limit = MAX_TEXT_BYTES) {
-  const handle = await fsp.open(filePath, 'r');
-  try {
-    const stats = await handle.stat();
-    const length = Math.min(limit, stats.size);
-    const buffer = Buffer.alloc(length);
-    await handle.read(buffer, 0, length, 0);
-    return buffer.toString('utf8');
-  } finally {
-    await handle.close();
-  }
-}
-
 async function walkDirectory(rootDir, options, visitor) {
   const stack = [rootDir];
   const { excludeDirs = DEFAULT_DIR_EXCLUSIONS, followSymlinks = false } = options || {};
@@ -82,6 +70,7 @@ function determineManifestSeverity(match) {
   switch (match.kind) {
     case 'manifest-exact':
     case 'lock-installed':
+    case 'lock-integrity':
       return 'high';
     case 'manifest-range':
     case 'manifest-name-only':
@@ -106,16 +95,32 @@ function formatManifestMessage(match) {
     return `Dependency ${match.dependency} references ${match.target}${aliasNote}; review installed versions manually.`;
   }
   if (match.kind === 'lock-installed') {
-    return `Lockfile installs ${match.name}@${match.version} at ${match.location}.`;
+    const descriptorNote = match.descriptor ? ` via ${match.descriptor}` : '';
+    const workspaceNote = match.workspaces && match.workspaces.length ? ` (required by ${match.workspaces.join(', ')})` : '';
+    return `Lockfile installs ${match.name}@${match.version} at ${match.location}${descriptorNote}${workspaceNote}.`;
+  }
+  if (match.kind === 'lock-integrity') {
+    return `Lockfile installs ${match.name}@${match.version} at ${match.location} with the tarball integrity of known-malicious ${match.knownAs} (${match.integrity}).`;
   }
   return `Potential issue detected: ${JSON.stringify(match)}`;
 }
 
-function createFindingAggregator() {
+function createFindingAggregator(baseline) {
   const findings = [];
+  const suppressed = [];
   const counts = { high: 0, medium: 0, low: 0 };
+  const matchBaseline = createBaselineMatcher(baseline);
   return {
-    add(finding) {
+    add(rawFinding) {
+      const finding = { ...rawFinding, fingerprint: fingerprintFinding(rawFinding) };
+      const suppression = matchBaseline(finding);
+      if (suppression && !suppression.expired) {
+        suppressed.push({ ...finding, suppression });
+        return;
+      }
+      if (suppression) {
+        finding.suppression = suppression;
+      }
       const { severity } = finding;
       if (!counts[severity]) {
         counts[severity] = 0;
@@ -126,6 +131,9 @@ function createFindingAggregator() {
     getFindings() {
       return findings;
     },
+    getSuppressed() {
+      return suppressed;
+    },
     getCounts() {
       return counts;
     }
@@ -133,7 +141,11 @@ function createFindingAggregator() {
 }
 
 async function scanProject(rootDir, datasetMap, options = {}) {
-  const absoluteRoot = path.resolve(rootDir);
+  const resolvedTarget = path.resolve(rootDir);
+  // A single file (typically a .tgz) is scanned on its own, with paths reported relative to its directory.
+  const targetStat = await fsp.stat(resolvedTarget).catch(() => null);
+  const singleFile = targetStat?.isFile() ? resolvedTarget : null;
+  const absoluteRoot = singleFile ? path.dirname(singleFile) : resolvedTarget;
   const includeNodeModules = Boolean(options.includeNodeModules);
   const excludeDirs = new Set(DEFAULT_DIR_EXCLUSIONS);
   if (includeNodeModules) {
@@ -145,118 +157,236 @@ async function scanProject(rootDir, datasetMap, options = {}) {
     }
   }
 
-  const aggregator = createFindingAggregator();
+  const aggregator = createFindingAggregator(options.baseline);
   const stats = {
     filesHashed: 0,
     contentScanned: 0,
-    manifestsScanned: 0
+    scriptsAnalyzed: 0,
+    manifestsScanned: 0,
+    tarballsScanned: 0,
+    tarballEntries: 0
   };
+  const obfuscationThreshold = options.obfuscationThreshold ?? OBFUSCATION_THRESHOLD;
+  let wormBranchWorkflows = null;
   const seenManifestMatches = new Set();
 
-  await walkDirectory(absoluteRoot, { excludeDirs }, async (filePath, dirent) => {
-    const relativePath = path.relative(absoluteRoot, filePath) || path.basename(filePath);
+  const ruleSet = options.ruleSet || createRuleSet();
+  const patternGroups = {
+    content: serializePatterns(ruleSet.contentRules.map((rule) => rule.pattern))
+  };
+  const scanCache = options.cachePath
+    ? await openScanCache(options.cachePath, computeRulesetDigest({ patternGroups, maliciousHashes: ruleSet.maliciousHashes, datasetMap }))
+    : null;
+  if (scanCache) {
+    stats.cacheHits = 0;
+  }
+
+  // Resolved before any work starts so an unknown --workspace fails fast.
+  const workspaces = await discoverWorkspaces(absoluteRoot);
+  const workspaceResolver = workspaces && createWorkspaceResolver(workspaces);
+  let selectedWorkspace = null;
+  if (options.workspace) {
+    if (!workspaces) {
+      throw new Error(`Cannot filter by workspace "${options.workspace}": ${absoluteRoot} declares no workspaces in package.json or pnpm-workspace.yaml.`);
+    }
+    selectedWorkspace = workspaceResolver.find(options.workspace);
+    if (!selectedWorkspace) {
+      throw new Error(`Unknown workspace "${options.workspace}". Known workspaces: ${workspaces.map((workspace) => workspace.name).join(', ')}.`);
+    }
+  }
+
+  const pool = createWorkerPool(FILE_INSPECTOR_PATH, {
+    size: options.concurrency || defaultConcurrency(),
+    workerData: {
+      role: FILE_INSPECTOR_ROLE,
+      patternGroups
+    }
+  });
+
+  // Tarball entries are inspected on this thread, so the content patterns are compiled here as well.
+  const entryPatternGroups = { content: compilePatterns(patternGroups.content) };
+
+  const inspectOnDisk = async (filePath, normalizedRelative, request) => {
+    let fileStat = null;
+    let inspection = null;
+    if (scanCache) {
+      fileStat = await fsp.stat(filePath).catch(() => null);
+      inspection = fileStat && scanCache.lookup(normalizedRelative, fileStat, request);
+      if (inspection) {
+        stats.cacheHits += 1;
+        return inspection;
+      }
+    }
+    try {
+      inspection = await pool.run({ filePath, ...request });
+    } catch (err) {
+      // ignore hashing and read errors
+    }
+    const complete = inspection
+      && (!request.hash || inspection.hash)
+      && (!request.content || inspection.contentScanned)
+      && (!request.obfuscation || inspection.obfuscation);
+    if (scanCache && fileStat && complete) {
+      scanCache.store(normalizedRelative, fileStat, request, inspection);
+    }
+    return inspection;
+  };
+
+  // `source` abstracts where a file lives: on disk (filePath set) or inside a tarball (filePath null), in which
+  // case reads, hashing and lifecycle script references are served from the in-memory entry.
+  const inspectProjectFile = async (source) => {
+    const findings = [];
+    const record = (finding) => {
+      findings.push(finding);
+    };
+    const { filePath, relativePath, baseName } = source;
     const normalizedRelative = relativePath.split(path.sep).join('/');
-    const baseName = dirent.name;
-    const ext = path.extname(baseName).toLowerCase();
 
-    if (SUSPICIOUS_WORKFLOW_FILENAMES.includes(baseName)) {
-      aggregator.add({
-        severity: 'high',
-        type: 'workflow',
-        message: 'Known malicious workflow filename detected.',
-        path: relativePath
-      });
+    // The baseline records finding messages verbatim, so it would otherwise flag itself.
+    if (baseName === BASELINE_FILENAME || (filePath && filePath === options.baseline?.path)) {
+      return findings;
     }
 
-    if (HASHABLE_EXTENSIONS.has(ext)) {
-      try {
-        const hash = await computeSha256(filePath);
+    for (const rule of ruleSet.filenameRules) {
+      if (rule.matchesName(normalizedRelative)) {
+        record({
+          severity: rule.severity,
+          type: rule.findingType,
+          message: rule.description,
+          path: relativePath,
+          rule: describeRule(rule)
+        });
+      }
+    }
+
+    const wantsHash = ruleSet.hashRules.some((rule) => rule.appliesTo(normalizedRelative));
+    const contentRules = SELF_CONTENT_ALLOWLIST.has(normalizedRelative)
+      ? []
+      : ruleSet.contentRules.filter((rule) => rule.appliesTo(normalizedRelative));
+    const wantsContent = contentRules.length > 0;
+    const wantsObfuscation = OBFUSCATION_EXTENSIONS.has(path.extname(baseName).toLowerCase())
+      && !SELF_CONTENT_ALLOWLIST.has(normalizedRelative);
+    if (wantsHash || wantsContent || wantsObfuscation) {
+      const request = { hash: wantsHash, content: wantsContent, obfuscation: wantsObfuscation };
+      const inspection = await source.inspect(normalizedRelative, request);
+      if (inspection?.hash) {
         stats.filesHashed += 1;
-        if (MALICIOUS_SHA256.includes(hash)) {
-          aggregator.add({
-            severity: 'high',
-            type: 'malicious-hash',
-            message: `File hash matches known Shai-Hulud payload (${hash}).`,
+        const hashRule = ruleSet.findHashRule(normalizedRelative, inspection.hash);
+        if (hashRule) {
+          record({
+            severity: hashRule.severity,
+            type: hashRule.findingType,
+            message: `${hashRule.description} (${inspection.hash}).`,
             path: relativePath,
-            details: { hash }
+            details: { hash: inspection.hash },
+            rule: describeRule(hashRule)
           });
         }
-      } catch (err) {
-        // ignore hashing errors
       }
-    }
-
-    let cachedContent;
-    const ensureContent = async () => {
-      if (cachedContent === undefined) {
-        try {
-          cachedContent = await readFileLimited(filePath);
-          stats.contentScanned += 1;
-        } catch (err) {
-          cachedContent = null;
+      if (inspection?.contentScanned) {
+        stats.contentScanned += 1;
+      }
+      if (inspection?.obfuscation) {
+        stats.scriptsAnalyzed += 1;
+        const { score } = inspection.obfuscation;
+        if (score >= obfuscationThreshold) {
+          record({
+            severity: score >= 80 ? 'high' : 'medium',
+            type: 'obfuscated-payload',
+            message: `Likely obfuscated JavaScript payload (score ${score}/100): ${formatObfuscationReasons(inspection.obfuscation)}.`,
+            path: relativePath,
+            details: { score, threshold: obfuscationThreshold, reasons: inspection.obfuscation.reasons, parsed: inspection.obfuscation.parsed }
+          });
         }
       }
-      return cachedContent;
-    };
+      // Workers test every content pattern; only rules whose file globs cover this path may report.
+      for (const index of inspection?.patternMatches?.content || []) {
+        const rule = ruleSet.contentRules[index];
+        if (!contentRules.includes(rule)) continue;
+        record({
+          severity: rule.severity,
+          type: rule.findingType,
+          message: rule.description,
+          path: relativePath,
+          rule: describeRule(rule)
+        });
+      }
+    }
 
-    if (!SELF_CONTENT_ALLOWLIST.has(normalizedRelative) && (TEXT_FILE_EXTENSIONS.has(ext) || SUSPICIOUS_WORKFLOW_FILENAMES.includes(baseName))) {
-      const content = await ensureContent();
-      if (typeof content === 'string' && content.length) {
-        for (const patternInfo of SUSPICIOUS_CONTENT_PATTERNS) {
-          patternInfo.pattern.lastIndex = 0;
-          if (patternInfo.pattern.test(content)) {
-            aggregator.add({
-              severity: patternInfo.severity,
-              type: 'suspicious-content',
-              message: patternInfo.label,
-              path: relativePath
-            });
-          }
-        }
-        for (const pattern of TRUFFLEHOG_PATTERNS) {
-          pattern.lastIndex = 0;
-          if (pattern.test(content)) {
-            aggregator.add({
-              severity: 'medium',
-              type: 'trufflehog',
-              message: 'Potential trufflehog credential scanning activity detected.',
-              path: relativePath
-            });
-            break;
+    if (isWorkflowPath(normalizedRelative)) {
+      let analysis;
+      try {
+        analysis = analyzeWorkflow(await source.readText());
+      } catch (err) {
+        analysis = { error: err.message, issues: [] };
+      }
+      if (analysis.error) {
+        record({
+          severity: 'low',
+          type: 'manifest-error',
+          message: `Unable to parse workflow (${analysis.error}).`,
+          path: relativePath
+        });
+      }
+      for (const issue of analysis.issues) {
+        record({
+          severity: issue.severity,
+          type: 'workflow',
+          message: formatWorkflowMessage(issue),
+          path: relativePath,
+          details: {
+            kind: issue.check,
+            location: issue.step ? `jobs.${issue.job}.steps[${issue.step - 1}]` : issue.job ? `jobs.${issue.job}` : null,
+            job: issue.job,
+            step: issue.step,
+            stepName: issue.stepName,
+            line: issue.line,
+            ...(issue.hosts ? { hosts: issue.hosts } : {})
           }
-        }
+        });
       }
+      // Resolved once per scan, and only when the tree has workflows at all.
+      if (filePath && !wormBranchWorkflows) wormBranchWorkflows = findWormBranchWorkflows(absoluteRoot);
+      const addedBy = filePath && (await wormBranchWorkflows).get(normalizedRelative);
+      if (addedBy) {
+        record({
+          severity: 'high',
+          type: 'workflow',
+          message: `Workflow was added on branch "${addedBy.branch}" by ${addedBy.author} in commit ${addedBy.commit.slice(0, 12)} (${addedBy.date}).`,
+          path: relativePath,
+          details: { kind: 'worm-branch-commit', location: addedBy.branch, ...addedBy }
+        });
+      }
+      return findings;
     }
 
     if (baseName === 'package.json') {
       let parsed;
       try {
-        const raw = await fsp.readFile(filePath, 'utf8');
+        const raw = await source.readText();
         parsed = JSON.parse(raw);
       } catch (err) {
-        aggregator.add({
+        record({
           severity: 'low',
           type: 'manifest-error',
           message: `Unable to parse package.json (${err.message}).`,
           path: relativePath
         });
-        return;
+        return findings;
       }
 
       stats.manifestsScanned += 1;
-      const postinstall = parsed?.scripts?.postinstall;
-      if (typeof postinstall === 'string') {
-        for (const keyword of SUSPICIOUS_POSTINSTALL_KEYWORDS) {
-          if (postinstall.includes(keyword)) {
-            aggregator.add({
-              severity: 'high',
-              type: 'postinstall',
-              message: `Suspicious postinstall script: "${postinstall.trim()}"`,
-              path: relativePath
-            });
-            break;
-          }
-        }
+      const lifecycleHits = await inspectLifecycleScripts(parsed, source.packageDir, ruleSet.lifecycleRules, source.readReferenced);
+      for (const hit of lifecycleHits) {
+        const via = hit.source ? ` via ${hit.source}` : '';
+        record({
+          severity: hit.rule.severity,
+          type: hit.rule.findingType,
+          message: `${hit.rule.description} (${hit.script}${via}): "${hit.segment}"`,
+          path: relativePath,
+          details: { script: hit.script, source: hit.source, segment: hit.segment, detector: hit.detector },
+          rule: describeRule(hit.rule)
+        });
       }
 
       if (datasetMap) {
@@ -269,7 +399,7 @@ async function scanProject(rootDir, datasetMap, options = {}) {
           seenManifestMatches.add(key);
           const severity = determineManifestSeverity(match);
           const message = formatManifestMessage(match);
-          aggregator.add({
+          record({
             severity,
             type: 'manifest',
             path: relativePath,
@@ -278,27 +408,26 @@ async function scanProject(rootDir, datasetMap, options = {}) {
           });
         }
       }
-      return;
+      return findings;
     }
 
-    if (baseName === 'package-lock.json' || baseName === 'npm-shrinkwrap.json') {
-      let parsed;
+    if (LOCKFILE_NAMES.has(baseName)) {
+      let matches;
       try {
-        const raw = await fsp.readFile(filePath, 'utf8');
-        parsed = JSON.parse(raw);
+        const raw = await source.readText();
+        matches = scanContent(raw, datasetMap || new Map(), baseName);
       } catch (err) {
-        aggregator.add({
+        record({
           severity: 'low',
           type: 'manifest-error',
           message: `Unable to parse ${baseName} (${err.message}).`,
           path: relativePath
         });
-        return;
+        return findings;
       }
 
       stats.manifestsScanned += 1;
       if (datasetMap) {
-        const matches = scanParsedJson(parsed, datasetMap);
         for (const match of matches.matches) {
           const key = `${relativePath}|${match.kind}|${match.name || match.dependency}|${match.selector || match.version}|${match.location || ''}`;
           if (seenManifestMatches.has(key)) {
@@ -307,7 +436,7 @@ async function scanProject(rootDir, datasetMap, options = {}) {
           seenManifestMatches.add(key);
           const severity = determineManifestSeverity(match);
           const message = formatManifestMessage(match);
-          aggregator.add({
+          record({
             severity,
             type: 'lockfile',
             path: relativePath,
@@ -317,16 +446,187 @@ async function scanProject(rootDir, datasetMap, options = {}) {
         }
       }
     }
+    return findings;
+  };
+
+  const inspectLooseFile = (filePath, dirent, relativePath) => inspectProjectFile({
+    filePath,
+    relativePath,
+    baseName: dirent.name,
+    packageDir: path.dirname(filePath),
+    readText: () => fsp.readFile(filePath, 'utf8'),
+    inspect: (normalizedRelative, request) => inspectOnDisk(filePath, normalizedRelative, request)
   });
 
+  // Every regular file in the archive goes through inspectProjectFile as `<archive>!<entry path>`.
+  const inspectTarball = async (filePath, relativePath) => {
+    const results = new Map();
+    let entries;
+    try {
+      entries = await readTarball(filePath);
+    } catch (err) {
+      results.set(relativePath, [{
+        severity: 'low',
+        type: 'manifest-error',
+        message: `Unable to read tarball (${err.message}).`,
+        path: relativePath
+      }]);
+      return results;
+    }
+    stats.tarballsScanned += 1;
+    const byPath = new Map(entries.map((entry) => [entry.path, entry]));
+    const readReferenced = async (packageDir, reference) => {
+      const entryPath = path.posix.join(packageDir, reference);
+      const relative = path.posix.relative(packageDir, entryPath);
+      if (!relative || relative.startsWith('..')) return null;
+      const entry = byPath.get(entryPath);
+      return entry?.content ? { source: relative, text: entry.content.toString('utf8') } : null;
+    };
+    for (const entry of entries) {
+      stats.tarballEntries += 1;
+      const entryRelative = `${relativePath}!${entry.path}`;
+      results.set(entryRelative, await inspectProjectFile({
+        filePath: null,
+        relativePath: entryRelative,
+        baseName: path.posix.basename(entry.path),
+        packageDir: path.posix.dirname(entry.path),
+        readReferenced,
+        readText: async () => {
+          if (!entry.content) throw new Error(`entry not held in memory (${entry.size} bytes; entry or archive size limit reached)`);
+          return entry.content.toString('utf8');
+        },
+        inspect: async (normalizedRelative, request) => (entry.content
+          ? inspectBuffer(entry.content, request, entryPatternGroups)
+          : { hash: request.hash ? entry.sha256 : null, contentScanned: false, patternMatches: {}, obfuscation: null })
+      }));
+    }
+    return results;
+  };
+
+  const fileFindings = new Map();
+  const credentialSources = [];
+  const inFlight = new Set();
+  const maxInFlight = pool.size * 4;
+  try {
+    const visit = async (filePath, dirent) => {
+      const relativePath = path.relative(absoluteRoot, filePath) || path.basename(filePath);
+      if (options.exposure && isCredentialSourcePath(relativePath.split(path.sep).join('/'))) {
+        credentialSources.push(relativePath);
+      }
+      const task = inspectLooseFile(filePath, dirent, relativePath)
+        .then(async (findings) => {
+          fileFindings.set(relativePath, findings);
+          if (isTarballName(dirent.name)) {
+            for (const [entryPath, entryFindings] of await inspectTarball(filePath, relativePath)) {
+              fileFindings.set(entryPath, [...(fileFindings.get(entryPath) || []), ...entryFindings]);
+            }
+          }
+        })
+        .catch(() => {
+          // Ignore inspection errors for individual files
+        })
+        .finally(() => inFlight.delete(task));
+      inFlight.add(task);
+      if (inFlight.size >= maxInFlight) {
+        await Promise.race(inFlight);
+      }
+    };
+    if (singleFile) {
+      await visit(singleFile, { name: path.basename(singleFile) });
+    } else {
+      await walkDirectory(absoluteRoot, { excludeDirs }, visit);
+    }
+    await Promise.all(inFlight);
+  } finally {
+    await pool.close();
+  }
+  if (scanCache) {
+    try {
+      await scanCache.save();
+    } catch (err) {
+      // A cache that cannot be written only costs the next run its speed-up
+    }
+  }
+
+  let installed = null;
+  if (options.installedTree) {
+    const audit = await auditInstalledTree(absoluteRoot, datasetMap);
+    installed = audit.installed;
+    stats.installedPackages = installed.length;
+    stats.installedLockfile = audit.lockfile;
+    for (const issue of audit.issues) {
+      const relativePath = path.join(...`${issue.location}/package.json`.split('/'));
+      const findings = fileFindings.get(relativePath) || [];
+      findings.push({
+        severity: installedIssueSeverity(issue),
+        type: 'installed',
+        path: relativePath,
+        message: formatInstalledMessage(issue),
+        details: issue
+      });
+      fileFindings.set(relativePath, findings);
+    }
+  }
+
+  if (options.gitHistory) {
+    const history = await scanGitHistory(absoluteRoot, ruleSet);
+    stats.gitHistory = { repository: history.repository, refs: history.refs, commits: history.commits, blobsHashed: history.blobsHashed };
+    for (const issue of history.issues) {
+      const relativePath = path.join(...issue.path.split('/'));
+      const findings = fileFindings.get(relativePath) || [];
+      findings.push({
+        severity: 'high',
+        type: 'git-history',
+        path: relativePath,
+        message: formatHistoryMessage(issue),
+        details: {
+          kind: issue.kind,
+          location: issue.kind === 'ref' ? issue.ref : issue.commit,
+          commit: issue.commit,
+          author: issue.author,
+          date: issue.date,
+          ...(issue.hash ? { hash: issue.hash } : {}),
+          ...(issue.deletedIn ? { deletedIn: { commit: issue.deletedIn.commit, author: issue.deletedIn.author, date: issue.deletedIn.date } } : {})
+        },
+        ...(issue.rule ? { rule: describeRule(issue.rule) } : {})
+      });
+      fileFindings.set(relativePath, findings);
+    }
+  }
+
+  let exposure = null;
+  if (options.exposure) {
+    exposure = await assessCredentialExposure(absoluteRoot, credentialSources.sort(), options.exposure);
+  }
+
+  // Files complete in whatever order the pool schedules them; replay findings sorted by path so reports are reproducible.
+  for (const relativePath of Array.from(fileFindings.keys()).sort()) {
+    for (const finding of fileFindings.get(relativePath)) {
+      if (workspaceResolver) {
+        finding.workspaces = attributeWorkspaces(finding, workspaceResolver);
+        if (selectedWorkspace && !finding.workspaces.includes(selectedWorkspace.name)) continue;
+      }
+      aggregator.add(finding);
+    }
+  }
+
   return {
     targetPath: absoluteRoot,
+    ...(singleFile ? { targetFile: singleFile } : {}),
     counts: aggregator.getCounts(),
     findings: aggregator.getFindings(),
+    suppressed: aggregator.getSuppressed(),
+    rulePacks: ruleSet.packs,
+    ...(installed ? { installed } : {}),
+    ...(exposure ? { exposure } : {}),
+    ...(workspaces ? { workspaces: summarizeWorkspaces(selectedWorkspace ? [selectedWorkspace] : workspaces, aggregator.getFindings()) } : {}),
+    ...(selectedWorkspace ? { workspaceFilter: selectedWorkspace.name } : {}),
     stats
   };
 }
 
 module.exports = {
+  determineManifestSeverity,
+  formatManifestMessage,
   scanProject
 };
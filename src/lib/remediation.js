@@ -0,0 +1,140 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const { matchRangeAgainstVersions } = require('./scanner');
+const {
+  DEFAULT_NPM_CACHE_DIR,
+  DEFAULT_REGISTRY,
+  readCachedContent,
+  escapePackageName,
+  packumentCacheKey
+} = require('./npm-cache');
+
+function extractVersions(packument) {
+  if (!packument || typeof packument !== 'object') return null;
+  if (packument.versions && typeof packument.versions === 'object' && !Array.isArray(packument.versions)) {
+    return Object.keys(packument.versions);
+  }
+  return Array.isArray(packument.versions) ? packument.versions.filter((v) => typeof v === 'string') : null;
+}
+
+async function readPackumentFile(filePath) {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function createPackumentSource({ packumentDir, npmCacheDir = DEFAULT_NPM_CACHE_DIR, registry = DEFAULT_REGISTRY } = {}) {
+  const memo = new Map();
+  const load = async (name) => {
+    if (packumentDir) {
+      for (const candidate of [`${name}.json`, `${escapePackageName(name)}.json`]) {
+        const versions = extractVersions(await readPackumentFile(path.join(packumentDir, candidate)));
+        if (versions) return { versions, source: path.join(packumentDir, candidate) };
+      }
+    }
+    if (npmCacheDir) {
+      const key = packumentCacheKey(name, registry);
+      try {
+        const content = await readCachedContent(npmCacheDir, key);
+        const versions = content ? extractVersions(JSON.parse(content.toString('utf8'))) : null;
+        if (versions) return { versions, source: `npm-cache:${key}` };
+      } catch (err) {
+        // Unreadable cache entries count as missing packuments
+      }
+    }
+    return null;
+  };
+  return {
+    async getVersions(name) {
+      if (!memo.has(name)) memo.set(name, load(name));
+      return memo.get(name);
+    }
+  };
+}
+
+function nearestSafeMajor(safeVersions, anchor) {
+  const anchorMajor = anchor ? semver.major(anchor) : null;
+  let best = null;
+  for (const version of safeVersions) {
+    if (semver.prerelease(version)) continue;
+    if (!best) {
+      best = version;
+      continue;
+    }
+    const distance = anchorMajor === null ? 0 : Math.abs(semver.major(version) - anchorMajor);
+    const bestDistance = anchorMajor === null ? 0 : Math.abs(semver.major(best) - anchorMajor);
+    // Prefer the closest major, then newer majors over older ones, then the newest release within it.
+    if (distance < bestDistance
+      || (distance === bestDistance && semver.major(version) > semver.major(best))
+      || (distance === bestDistance && semver.major(version) === semver.major(best) && semver.gt(version, best))) {
+      best = version;
+    }
+  }
+  return best;
+}
+
+function planRemediation(name, range, versions, compromised) {
+  const published = versions.filter((version) => semver.valid(version));
+  const safe = published.filter((version) => !compromised.has(version)).sort(semver.compare);
+  if (!safe.length) {
+    return { status: 'no-safe-version', package: name, range, version: null };
+  }
+  const validRange = range ? semver.validRange(range, { includePrerelease: true }) : null;
+  if (validRange) {
+    // Only offer prereleases when the original selector already opted into them.
+    const optedIn = new semver.Range(range).set.flat().some((comparator) => comparator.semver.prerelease?.length);
+    const candidates = optedIn ? safe : safe.filter((version) => !semver.prerelease(version));
+    const inRange = matchRangeAgainstVersions(validRange, candidates);
+    if (inRange.length) {
+      return { status: 'in-range', package: name, range, version: inRange[inRange.length - 1] };
+    }
+  }
+  const anchor = validRange ? semver.minVersion(validRange)?.version : null;
+  const fallback = nearestSafeMajor(safe, anchor);
+  return fallback
+    ? { status: 'other-major', package: name, range, version: fallback }
+    : { status: 'no-safe-version', package: name, range, version: null };
+}
+
+function remediationTarget(match) {
+  if (match.kind === 'lock-installed' || match.kind === 'installed') {
+    // Lockfiles record no selector, so stay within the installed major when possible.
+    return { name: match.name, range: semver.valid(match.version) ? `^${match.version}` : null };
+  }
+  return { name: match.target || match.dependency, range: match.selector };
+}
+
+function formatRemediation(remediation) {
+  if (!remediation) return null;
+  switch (remediation.status) {
+    case 'in-range':
+      return `upgrade to ${remediation.package}@${remediation.version} (highest safe version within "${remediation.range}")`;
+    case 'other-major':
+      return `move to ${remediation.package}@${remediation.version}; no safe version satisfies "${remediation.range ?? '*'}"`;
+    case 'no-safe-version':
+      return `no safe published version of ${remediation.package} exists; remove or replace the dependency`;
+    default:
+      return `unable to suggest a version for ${remediation.package} (${remediation.reason || 'unknown'})`;
+  }
+}
+
+async function suggestFix(match, datasetMap, packumentSource) {
+  const { name, range } = remediationTarget(match);
+  const compromised = datasetMap.get(name);
+  if (!name || !compromised) return null;
+  const packument = await packumentSource.getVersions(name);
+  const plan = packument
+    ? { ...planRemediation(name, range, packument.versions, compromised), source: packument.source }
+    : { status: 'unknown', package: name, range, version: null, reason: 'no packument available' };
+  return { ...plan, summary: formatRemediation(plan) };
+}
+
+module.exports = {
+  createPackumentSource,
+  planRemediation,
+  suggestFix,
+  formatRemediation
+};
@@ -0,0 +1,215 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const { parse: parseYaml } = require('yaml');
+const { BUILTIN_RULE_PACK } = require('./iocs');
+const { INSTALL_LIFECYCLE_SCRIPTS, LIFECYCLE_DETECTORS, compileKeywords } = require('./lifecycle-scripts');
+
+const RULE_KINDS = new Set(['hash', 'content', 'filename', 'lifecycle']);
+// Packs written before every install-time script was inspected used "postinstall".
+const RULE_KIND_ALIASES = { postinstall: 'lifecycle' };
+const RULE_SEVERITIES = new Set(['high', 'medium', 'low']);
+const DEFAULT_FINDING_TYPES = {
+  hash: 'malicious-hash',
+  content: 'suspicious-content',
+  filename: 'workflow',
+  lifecycle: 'postinstall'
+};
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  // Case-insensitive, as file extensions were matched before rule packs existed.
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Globs without a slash match the file name anywhere in the tree; others match the path from the scan root.
+function compileGlobs(globs) {
+  if (!globs || !globs.length) return null;
+  const compiled = globs.map((glob) => ({ basename: !glob.includes('/'), regex: globToRegExp(glob) }));
+  return (relativePath) => {
+    const baseName = path.posix.basename(relativePath);
+    return compiled.some(({ basename, regex }) => regex.test(basename ? baseName : relativePath));
+  };
+}
+
+function asStringList(value, label) {
+  if (value === undefined) return undefined;
+  const list = [].concat(value);
+  if (list.some((item) => typeof item !== 'string' || !item)) {
+    throw new Error(`${label} must be a string or a list of strings`);
+  }
+  return list;
+}
+
+function normalizeRule(rule, pack) {
+  if (!rule || typeof rule !== 'object' || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('every rule needs a string "id"');
+  }
+  const fail = (message) => new Error(`rule ${rule.id}: ${message}`);
+  if (rule.disabled) {
+    return { id: rule.id, disabled: true, pack };
+  }
+  const kind = RULE_KIND_ALIASES[rule.kind] || rule.kind;
+  if (!RULE_KINDS.has(kind)) {
+    throw fail(`unknown kind "${rule.kind}" (expected ${Array.from(RULE_KINDS).join(', ')})`);
+  }
+  if (!RULE_SEVERITIES.has(rule.severity)) {
+    throw fail('severity must be high, medium or low');
+  }
+  try {
+    const normalized = {
+      id: rule.id,
+      kind,
+      findingType: typeof rule.findingType === 'string' ? rule.findingType : DEFAULT_FINDING_TYPES[kind],
+      severity: rule.severity,
+      description: typeof rule.description === 'string' && rule.description ? rule.description : rule.id,
+      files: asStringList(rule.files, 'files'),
+      references: asStringList(rule.references, 'references') || [],
+      pack
+    };
+    if (kind === 'hash') {
+      normalized.hashes = (asStringList(rule.hashes, 'hashes') || []).map((hash) => hash.toLowerCase());
+      if (!normalized.hashes.length || normalized.hashes.some((hash) => !/^[0-9a-f]{64}$/.test(hash))) {
+        throw new Error('hashes must list SHA-256 hex digests');
+      }
+    } else if (kind === 'content') {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) throw new Error('content rules need a "pattern"');
+      normalized.pattern = new RegExp(rule.pattern, typeof rule.flags === 'string' ? rule.flags.replace(/[gy]/g, '') : '');
+    } else if (kind === 'filename') {
+      normalized.filenames = asStringList(rule.filenames, 'filenames') || [];
+      if (!normalized.filenames.length) throw new Error('filename rules need "filenames"');
+    } else if (kind === 'lifecycle') {
+      normalized.keywords = asStringList(rule.keywords, 'keywords') || [];
+      normalized.detectors = asStringList(rule.detectors, 'detectors') || [];
+      normalized.scripts = asStringList(rule.scripts, 'scripts') || null;
+      if (!normalized.keywords.length && !normalized.detectors.length) {
+        throw new Error('lifecycle rules need "keywords" or "detectors"');
+      }
+      const unknownDetector = normalized.detectors.find((detector) => !LIFECYCLE_DETECTORS.includes(detector));
+      if (unknownDetector) {
+        throw new Error(`unknown detector "${unknownDetector}" (expected ${LIFECYCLE_DETECTORS.join(', ')})`);
+      }
+      const unknownScript = (normalized.scripts || []).find((script) => !INSTALL_LIFECYCLE_SCRIPTS.includes(script));
+      if (unknownScript) {
+        throw new Error(`"${unknownScript}" is not an install lifecycle script (expected ${INSTALL_LIFECYCLE_SCRIPTS.join(', ')})`);
+      }
+    }
+    return normalized;
+  } catch (err) {
+    throw fail(err.message);
+  }
+}
+
+function normalizeRulePack(data, source) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Rule pack ${source} must be an object with id, version and rules.`);
+  }
+  if (typeof data.id !== 'string' || !data.id || data.version === undefined || data.version === null) {
+    throw new Error(`Rule pack ${source} needs an "id" and a "version".`);
+  }
+  if (!Array.isArray(data.rules)) {
+    throw new Error(`Rule pack ${source} needs a "rules" list.`);
+  }
+  const pack = { id: data.id, version: String(data.version), description: data.description || null, source };
+  const seen = new Set();
+  const rules = data.rules.map((rule) => {
+    try {
+      const normalized = normalizeRule(rule, pack);
+      if (seen.has(normalized.id)) throw new Error(`rule ${normalized.id}: duplicate id`);
+      seen.add(normalized.id);
+      return normalized;
+    } catch (err) {
+      throw new Error(`Rule pack ${source}: ${err.message}`);
+    }
+  });
+  return { ...pack, rules };
+}
+
+async function loadRulePack(filePath) {
+  const absolute = path.resolve(filePath);
+  let raw;
+  try {
+    raw = await fsp.readFile(absolute, 'utf8');
+  } catch (err) {
+    throw new Error(`Unable to read rule pack at ${absolute}: ${err.message}`);
+  }
+  let data;
+  try {
+    // YAML is a superset of JSON, so one parser covers both formats.
+    data = parseYaml(raw);
+  } catch (err) {
+    throw new Error(`Failed to parse rule pack ${absolute}: ${err.message}`);
+  }
+  return normalizeRulePack(data, absolute);
+}
+
+// Later packs win: a rule with an existing id replaces it in place, and "disabled: true" removes it.
+function createRuleSet(extraPacks = []) {
+  const packs = [normalizeRulePack(BUILTIN_RULE_PACK, '(built-in)'), ...extraPacks];
+  const byId = new Map();
+  for (const pack of packs) {
+    for (const rule of pack.rules) {
+      byId.set(rule.id, rule);
+    }
+  }
+  const rules = Array.from(byId.values()).filter((rule) => !rule.disabled);
+  const withScope = (rule) => ({ ...rule, appliesTo: compileGlobs(rule.files) || (() => true) });
+  const contentRules = rules.filter((rule) => rule.kind === 'content').map(withScope);
+  const hashRules = rules.filter((rule) => rule.kind === 'hash').map(withScope);
+  return {
+    packs: packs.map(({ id, version, source, rules: packRules }) => ({ id, version, source, rules: packRules.length })),
+    contentRules,
+    hashRules,
+    filenameRules: rules.filter((rule) => rule.kind === 'filename').map((rule) => ({ ...rule, matchesName: compileGlobs(rule.filenames) })),
+    lifecycleRules: rules
+      .filter((rule) => rule.kind === 'lifecycle')
+      .map((rule) => ({ ...rule, matchesCommand: compileKeywords(rule.keywords) })),
+    maliciousHashes: Array.from(new Set(hashRules.flatMap((rule) => rule.hashes))),
+    findHashRule(relativePath, hash) {
+      return hashRules.find((rule) => rule.appliesTo(relativePath) && rule.hashes.includes(hash)) || null;
+    }
+  };
+}
+
+async function loadRuleSet(rulePaths = []) {
+  const packs = [];
+  for (const rulePath of rulePaths) {
+    packs.push(await loadRulePack(rulePath));
+  }
+  return createRuleSet(packs);
+}
+
+function describeRule(rule) {
+  return {
+    id: rule.id,
+    pack: rule.pack.id,
+    packVersion: rule.pack.version,
+    ...(rule.references.length ? { references: rule.references } : {})
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  compileGlobs,
+  normalizeRulePack,
+  loadRulePack,
+  createRuleSet,
+  loadRuleSet,
+  describeRule
+};
@@ -0,0 +1,248 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { VALID_MANIFEST_SECTIONS } = require('./scanner');
+const { version: TOOL_VERSION } = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = 'SRCROOT';
+
+const SARIF_RULES = [
+  {
+    type: 'workflow',
+    name: 'MaliciousWorkflow',
+    description: 'GitHub Actions workflow matching a known Shai-Hulud workflow, or a job that dumps, encodes or sends secrets.',
+    help: 'Delete the workflow, review the repository for unexpected branches, and rotate any secrets the workflow could read.'
+  },
+  {
+    type: 'malicious-hash',
+    name: 'MaliciousPayloadHash',
+    description: 'File content matches a published Shai-Hulud payload hash.',
+    help: 'Remove the file, reinstall dependencies from a clean machine, and rotate credentials available to this environment.'
+  },
+  {
+    type: 'postinstall',
+    name: 'SuspiciousLifecycleScript',
+    description: 'Package lifecycle script downloads or executes code.',
+    help: 'Review the script and the package that declares it; remove it unless the behaviour is expected.'
+  },
+  {
+    type: 'manifest',
+    name: 'CompromisedDependencySelector',
+    description: 'Manifest selector allows a compromised package version.',
+    help: 'Pin or exclude the compromised releases before the next install.'
+  },
+  {
+    type: 'lockfile',
+    name: 'CompromisedPackageInstalled',
+    description: 'Lockfile resolves a compromised package version.',
+    help: 'Treat the environment as compromised: rotate secrets, reinstall from a clean machine, and redeploy.'
+  },
+  {
+    type: 'installed',
+    name: 'InstalledTreeMismatch',
+    description: 'Installed node_modules package is compromised or differs from the lockfile.',
+    help: 'Reinstall from the lockfile on a clean machine; treat compromised or drifted installs as evidence of tampering.'
+  },
+  {
+    type: 'obfuscated-payload',
+    name: 'ObfuscatedPayload',
+    description: 'JavaScript file scores above the obfuscation threshold (identifier tables, encoded blobs, decoded eval, env exfiltration).',
+    help: 'Compare the file with the published package tarball; treat unexpected obfuscated code as a payload until proven otherwise.'
+  },
+  {
+    type: 'git-history',
+    name: 'WormHistoryArtifact',
+    description: 'Git history contains a worm branch, workflow or payload, even if it was later deleted.',
+    help: 'Delete the branch on every remote, audit the commits it carried, and rotate any secrets its workflows could read.'
+  },
+  {
+    type: 'suspicious-content',
+    name: 'SuspiciousContent',
+    description: 'File references a known Shai-Hulud indicator.',
+    help: 'Inspect the reference and confirm whether it is benign research material or an active payload.'
+  },
+  {
+    type: 'trufflehog',
+    name: 'CredentialScanning',
+    description: 'File references trufflehog credential scanning used by the worm for exfiltration.',
+    help: 'Confirm whether trufflehog is expected here; if not, treat the environment as compromised.'
+  },
+  {
+    type: 'manifest-error',
+    name: 'UnreadableManifest',
+    description: 'Manifest or lockfile could not be parsed.',
+    help: 'Fix or regenerate the file so it can be scanned.'
+  }
+];
+
+const SEVERITY_TO_LEVEL = {
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+const SECTION_KEYS = new Map([
+  ...VALID_MANIFEST_SECTIONS.map(([key, label]) => [label, key]).reverse(),
+  ['override', 'overrides'],
+  ['resolution', 'resolutions']
+]);
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function findKeyOffset(content, key, from = 0) {
+  if (!key) return -1;
+  const escaped = escapeRegExp(key);
+  const pattern = new RegExp(`(?:"${escaped}"|'${escaped}'|(?<=^|\\s)${escaped})\\s*:`, 'gm');
+  pattern.lastIndex = from;
+  const match = pattern.exec(content);
+  return match ? match.index : -1;
+}
+
+function offsetToLine(content, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i += 1) {
+    if (content.charCodeAt(i) === 10) line += 1;
+  }
+  return line;
+}
+
+function locateManifestMatch(content, details) {
+  const sectionOffset = findKeyOffset(content, SECTION_KEYS.get(details.section));
+  let offset = findKeyOffset(content, details.dependency, Math.max(sectionOffset, 0));
+  if (offset === -1) offset = findKeyOffset(content, details.dependency);
+  if (offset === -1) offset = content.indexOf(`"${details.dependency}"`);
+  return offset === -1 ? null : offsetToLine(content, offset);
+}
+
+function locateLockfileMatch(content, details, fileName) {
+  if (details.line) return details.line;
+  // bun.lock lists workspace dependencies by name before the "packages" map that holds the actual entry.
+  const from = path.posix.basename(fileName || '') === 'bun.lock' ? Math.max(findKeyOffset(content, 'packages'), 0) : 0;
+  const location = details.location || '';
+  const candidates = [
+    location,
+    details.descriptor,
+    `${details.name}@${details.version}`,
+    location.split(' > ').pop(),
+    details.name
+  ];
+  for (const candidate of candidates) {
+    const offset = findKeyOffset(content, candidate, from);
+    if (offset !== -1) return offsetToLine(content, offset);
+  }
+  return null;
+}
+
+function toPosixPath(value) {
+  return value.split(path.sep).join('/');
+}
+
+async function buildSarifLog(report) {
+  const rootPath = path.resolve(report.targetPath);
+  const contents = new Map();
+  const readContent = async (relativePath) => {
+    if (!contents.has(relativePath)) {
+      contents.set(relativePath, await fsp.readFile(path.join(rootPath, relativePath), 'utf8').catch(() => null));
+    }
+    return contents.get(relativePath);
+  };
+
+  const ruleIndex = new Map(SARIF_RULES.map((rule, index) => [rule.type, index]));
+  const results = [];
+  for (const finding of [...(report.findings || []), ...(report.suppressed || [])]) {
+    // Files inside a tarball (`archive.tgz!package/bundle.js`) point at the archive; the entry goes in the message.
+    const [artifactPath, archiveEntry] = finding.path.split('!');
+    const physicalLocation = {
+      artifactLocation: { uri: toPosixPath(artifactPath), uriBaseId: SRCROOT }
+    };
+    const inArchive = archiveEntry !== undefined;
+    // Line numbers inside an archive entry do not apply to the archive, so those findings carry no region.
+    if (!inArchive && finding.details?.line && finding.type === 'workflow') {
+      physicalLocation.region = { startLine: finding.details.line };
+    } else if (!inArchive && finding.details && (finding.type === 'manifest' || finding.type === 'lockfile')) {
+      const content = await readContent(finding.path);
+      if (typeof content === 'string') {
+        const line = finding.type === 'manifest'
+          ? locateManifestMatch(content, finding.details)
+          : locateLockfileMatch(content, finding.details, toPosixPath(finding.path));
+        if (line) physicalLocation.region = { startLine: line };
+      }
+    }
+    const result = {
+      ruleId: `shai-hulud/${finding.type}`,
+      level: SEVERITY_TO_LEVEL[finding.severity] || 'warning',
+      message: { text: inArchive ? `${finding.message} (archive entry: ${archiveEntry})` : finding.message },
+      locations: [{ physicalLocation }],
+      properties: { severity: finding.severity, ...(inArchive ? { archiveEntry } : {}) }
+    };
+    if (finding.rule) {
+      result.properties.rule = finding.rule;
+    }
+    if (finding.details?.advisory) {
+      result.properties.advisory = finding.details.advisory;
+    }
+    if (finding.details?.feeds) {
+      result.properties.feeds = finding.details.feeds;
+    }
+    if (finding.details?.dependencyPaths?.length) {
+      result.properties.dependencyPaths = finding.details.dependencyPaths;
+    }
+    if (finding.workspaces) {
+      result.properties.workspaces = finding.workspaces;
+    }
+    if (ruleIndex.has(finding.type)) {
+      result.ruleIndex = ruleIndex.get(finding.type);
+    }
+    if (finding.fingerprint) {
+      result.partialFingerprints = { 'shaiHuludFinding/v1': finding.fingerprint };
+    }
+    if (finding.suppression && !finding.suppression.expired) {
+      result.suppressions = [{
+        kind: 'external',
+        status: 'accepted',
+        justification: finding.suppression.justification || ''
+      }];
+    }
+    results.push(result);
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'shai-hulud-controller',
+            version: TOOL_VERSION,
+            rules: SARIF_RULES.map((rule) => ({
+              id: `shai-hulud/${rule.type}`,
+              name: rule.name,
+              shortDescription: { text: rule.description },
+              help: { text: rule.help }
+            }))
+          }
+        },
+        originalUriBaseIds: {
+          [SRCROOT]: { uri: pathToFileURL(rootPath).href.replace(/\/?$/, '/') }
+        },
+        invocations: [
+          {
+            executionSuccessful: true,
+            endTimeUtc: report.scannedAt || new Date().toISOString()
+          }
+        ],
+        results
+      }
+    ]
+  };
+}
+
+module.exports = {
+  SARIF_RULES,
+  SEVERITY_TO_LEVEL,
+  buildSarifLog
+};
@@ -0,0 +1,83 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { SCAN_CACHE_DIR } = require('../config');
+
+const SCAN_CACHE_VERSION = 2;
+
+function defaultScanCachePath(rootDir) {
+  const key = crypto.createHash('sha256').update(path.resolve(rootDir)).digest('hex').slice(0, 24);
+  return path.join(SCAN_CACHE_DIR, `scan-${key}.json`);
+}
+
+// Any change to the detection content or the dataset yields a new digest, which discards every cached result.
+function computeRulesetDigest({ patternGroups, maliciousHashes, datasetMap }) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({ version: SCAN_CACHE_VERSION, patternGroups, maliciousHashes: [...maliciousHashes].sort() }));
+  const names = datasetMap ? Array.from(datasetMap.keys()).sort() : [];
+  for (const name of names) {
+    hash.update(`\u0000${name}\u0001${Array.from(datasetMap.get(name)).sort().join(',')}`);
+  }
+  return hash.digest('hex');
+}
+
+async function openScanCache(cachePath, rulesetDigest) {
+  const absolute = path.resolve(cachePath);
+  let previous = {};
+  try {
+    const parsed = JSON.parse(await fsp.readFile(absolute, 'utf8'));
+    if (parsed?.version === SCAN_CACHE_VERSION && parsed.rulesetDigest === rulesetDigest && parsed.files) {
+      previous = parsed.files;
+    }
+  } catch (err) {
+    // Missing or unreadable cache: start cold
+  }
+
+  const next = {};
+  const counters = { hits: 0, misses: 0 };
+  const sameFile = (entry, stat) => entry
+    && entry.size === stat.size
+    && entry.mtimeMs === stat.mtimeMs
+    && entry.ino === stat.ino;
+
+  return {
+    path: absolute,
+    counters,
+    lookup(key, stat, request) {
+      const entry = previous[key];
+      if (sameFile(entry, stat)
+        && entry.hash === request.hash
+        && entry.content === request.content
+        && Boolean(entry.obfuscation) === Boolean(request.obfuscation)) {
+        counters.hits += 1;
+        next[key] = entry;
+        return entry.inspection;
+      }
+      counters.misses += 1;
+      return null;
+    },
+    store(key, stat, request, inspection) {
+      next[key] = {
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        ino: stat.ino,
+        hash: request.hash,
+        content: request.content,
+        obfuscation: request.obfuscation,
+        inspection
+      };
+    },
+    async save() {
+      await fsp.mkdir(path.dirname(absolute), { recursive: true });
+      const temp = `${absolute}.${process.pid}.tmp`;
+      await fsp.writeFile(temp, JSON.stringify({ version: SCAN_CACHE_VERSION, rulesetDigest, files: next }), 'utf8');
+      await fsp.rename(temp, absolute);
+    }
+  };
+}
+
+module.exports = {
+  defaultScanCachePath,
+  computeRulesetDigest,
+  openScanCache
+};
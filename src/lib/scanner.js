@@ -2,6 +2,17 @@ const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
 const semver = require('semver');
+const {
+  isYarnLockV1,
+  isYarnBerryLock,
+  parseYarnLock,
+  parseBerryLockfile,
+  splitYarnDescriptor
+} = require('./yarn-lock');
+const { isPnpmLock, parsePnpmLock } = require('./pnpm-lock');
+const { parseBunLock, isBunLockData, splitBunPackageId } = require('./bun-lock');
+const { createDependencyPathFinder } = require('./npm-lock-graph');
+const { readSignedEnvelope } = require('./feed-signature');
 
 const DEFAULT_DATASET_PATH = path.join(__dirname, '..', '..', 'data', 'compromised-packages.json');
 const VALID_MANIFEST_SECTIONS = [
@@ -13,17 +24,20 @@ const VALID_MANIFEST_SECTIONS = [
   ['bundleDependencies', 'bundled']
 ];
 
-async function loadJsonFile(filePath, label = 'file') {
+async function loadTextFile(filePath, label = 'file') {
   const absolute = path.resolve(filePath);
-  let raw;
   try {
-    raw = await fsp.readFile(absolute, 'utf8');
+    return { raw: await fsp.readFile(absolute, 'utf8'), absolute };
   } catch (err) {
     if (err.code === 'ENOENT') {
       throw new Error(`Unable to locate ${label} at ${absolute}`);
     }
     throw err;
   }
+}
+
+async function loadJsonFile(filePath, label = 'file') {
+  const { raw, absolute } = await loadTextFile(filePath, label);
   try {
     return { data: JSON.parse(raw), absolute };
   } catch (err) {
@@ -31,13 +45,58 @@ async function loadJsonFile(filePath, label = 'file') {
   }
 }
 
+const ADVISORY_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Integrity digests, advisory metadata and feed provenance ride alongside the name -> versions map so every analyzer
+// keeps its (lock, datasetMap) signature.
+const datasetIndexes = new WeakMap();
+
+function splitIntegrity(value) {
+  if (typeof value !== 'string') return [];
+  return value.trim().split(/\s+/)
+    .map((token) => token.split('?')[0])
+    .filter((token) => /^[a-z0-9]+-[A-Za-z0-9+/=]+$/.test(token));
+}
+
+function normalizeAdvisory(entry) {
+  const advisory = {};
+  if (typeof entry.campaign === 'string' && entry.campaign.trim()) {
+    advisory.campaign = entry.campaign.trim();
+  }
+  const urls = [].concat(entry.advisories ?? []).filter((url) => typeof url === 'string' && url.trim());
+  if (urls.length) {
+    advisory.advisories = urls.map((url) => url.trim());
+  }
+  for (const field of ['firstSeen', 'published']) {
+    if (typeof entry[field] === 'string' && !Number.isNaN(Date.parse(entry[field]))) {
+      advisory[field] = entry[field];
+    }
+  }
+  if (ADVISORY_SEVERITIES.includes(entry.severity)) {
+    advisory.severity = entry.severity;
+  } else if (entry.severity && typeof entry.severity === 'object') {
+    const byVersion = Object.entries(entry.severity).filter(([, level]) => ADVISORY_SEVERITIES.includes(level));
+    if (byVersion.length) advisory.severityByVersion = Object.fromEntries(byVersion);
+  }
+  if (typeof entry.notes === 'string' && entry.notes.trim()) {
+    advisory.notes = entry.notes.trim();
+  }
+  return Object.keys(advisory).length ? advisory : null;
+}
+
 function buildDataset(entries) {
   const map = new Map();
+  const integrity = new Map();
+  const advisories = new Map();
+  const provenance = new Map();
   const malformed = [];
   for (const entry of entries || []) {
     if (!entry || typeof entry !== 'object') continue;
-    const { name, versions } = entry;
-    if (!name || !Array.isArray(versions)) {
+    const { name } = entry;
+    const digests = [].concat(entry.integrity ?? []);
+    // Forks and mirrored copies may be known only by their tarball digest.
+    const versions = entry.versions === undefined && digests.length ? [] : entry.versions;
+    if (!name || !Array.isArray(versions) || digests.some((digest) => typeof digest !== 'string')) {
       malformed.push(entry);
       continue;
     }
@@ -46,20 +105,95 @@ function buildDataset(entries) {
       .map((v) => v.trim())
       .filter(Boolean);
     map.set(name, new Set(cleaned));
+    for (const raw of digests) {
+      const feeds = entry.integrityFeeds?.[raw];
+      for (const digest of splitIntegrity(raw)) {
+        integrity.set(digest, Array.isArray(feeds) ? { name, feeds } : { name });
+      }
+    }
+    const advisory = normalizeAdvisory(entry);
+    if (advisory) advisories.set(name, advisory);
+    if (entry.feeds && typeof entry.feeds === 'object') provenance.set(name, entry.feeds);
   }
-  return { map, malformed };
+  datasetIndexes.set(map, { integrity, advisories, provenance });
+  return { map, malformed, integrity, advisories };
 }
 
-async function fetchDatasetFromUrl(url) {
-  const response = await fetch(url, {
-    headers: {
-      accept: 'application/json, text/plain;q=0.9'
-    }
-  });
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}`);
+// Merged datasets record which feeds listed each version; a finding is attributed to every feed behind the versions it matched.
+function lookupFeeds(datasetMap, name, versions = []) {
+  const byVersion = datasetIndexes.get(datasetMap)?.provenance.get(name);
+  if (!byVersion) return null;
+  const feeds = new Set();
+  for (const version of versions) {
+    for (const feed of byVersion[version] || []) feeds.add(feed);
+  }
+  return feeds.size ? Array.from(feeds) : null;
+}
+
+// Per-version severities collapse to the worst level among the versions a finding matched.
+function lookupAdvisory(datasetMap, name, versions = []) {
+  const advisory = datasetIndexes.get(datasetMap)?.advisories.get(name);
+  if (!advisory) return null;
+  const { severityByVersion, ...summary } = advisory;
+  if (severityByVersion) {
+    const levels = versions.map((version) => severityByVersion[version]).filter(Boolean);
+    levels.sort((a, b) => ADVISORY_SEVERITIES.indexOf(a) - ADVISORY_SEVERITIES.indexOf(b));
+    if (levels.length) summary.severity = levels[0];
+  }
+  return Object.keys(summary).length ? summary : null;
+}
+
+function annotateMatch(match, datasetMap, name, versions, feeds = lookupFeeds(datasetMap, name, versions)) {
+  const advisory = lookupAdvisory(datasetMap, name, versions);
+  return {
+    ...match,
+    ...(advisory ? { advisory } : {}),
+    ...(feeds ? { feeds } : {})
+  };
+}
+
+function formatAdvisory(advisory) {
+  if (!advisory) return null;
+  const parts = [];
+  if (advisory.campaign) parts.push(`campaign ${advisory.campaign}`);
+  if (advisory.severity) parts.push(`severity ${advisory.severity}`);
+  if (advisory.firstSeen) parts.push(`first seen ${advisory.firstSeen}`);
+  if (advisory.published) parts.push(`published ${advisory.published}`);
+  if (advisory.advisories) parts.push(advisory.advisories.join(', '));
+  if (advisory.notes) parts.push(advisory.notes);
+  return parts.join('; ');
+}
+
+function lookupIntegrity(datasetMap, value) {
+  const index = datasetIndexes.get(datasetMap)?.integrity;
+  if (!index || !index.size) return null;
+  for (const digest of splitIntegrity(value)) {
+    const known = index.get(digest);
+    if (known) return { ...known, integrity: digest };
+  }
+  return null;
+}
+
+// A known-bad tarball digest is flagged even when the package was renamed or re-versioned.
+function matchLockedPackage(datasetMap, name, version, integrity, extra = {}) {
+  const digest = lookupIntegrity(datasetMap, integrity);
+  const versions = datasetMap.get(name);
+  if (versions && versions.has(version)) {
+    const match = { kind: 'lock-installed', name, version, ...extra, ...(digest ? { integrity: digest.integrity } : {}) };
+    return annotateMatch(match, datasetMap, name, [version]);
+  }
+  if (digest) {
+    const match = { kind: 'lock-integrity', name, version, ...extra, integrity: digest.integrity, knownAs: digest.name };
+    return annotateMatch(match, datasetMap, digest.name, [], digest.feeds || null);
+  }
+  return null;
+}
+
+function parseDatasetPayload(raw) {
+  const envelope = readSignedEnvelope(raw);
+  if (envelope) {
+    return parseDatasetPayload(envelope.payload);
   }
-  const raw = await response.text();
   try {
     const payload = JSON.parse(raw);
     if (Array.isArray(payload)) {
@@ -75,6 +209,29 @@ async function fetchDatasetFromUrl(url) {
   throw new Error('Dataset must be a JSON array or colon-delimited list.');
 }
 
+async function fetchDatasetFromUrl(url, validators = {}) {
+  const headers = {
+    accept: 'application/json, text/plain;q=0.9'
+  };
+  if (validators.etag) headers['if-none-match'] = validators.etag;
+  if (validators.lastModified) headers['if-modified-since'] = validators.lastModified;
+  const response = await fetch(url, { headers });
+  if (response.status === 304) {
+    return { notModified: true, entries: null, etag: validators.etag || null, lastModified: validators.lastModified || null };
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const raw = await response.text();
+  const entries = parseDatasetPayload(raw);
+  return {
+    notModified: false,
+    raw,
+    entries,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  };
+}
 
 function parseColonDelimitedDataset(text) {
   if (typeof text !== 'string') return [];
@@ -133,7 +290,7 @@ function evaluateManifestSpec(dependencyName, sectionLabel, spec, datasetMap, co
   const findings = [];
   const datasetVersions = datasetMap.get(dependencyName);
   const record = (kind, targetName, selector, matches, aliasOf) => {
-    findings.push({
+    findings.push(annotateMatch({
       kind,
       dependency: dependencyName,
       section: sectionLabel,
@@ -142,7 +299,7 @@ function evaluateManifestSpec(dependencyName, sectionLabel, spec, datasetMap, co
       aliasOf: aliasOf || null,
       matches,
       pattern: context.pattern || null
-    });
+    }, datasetMap, targetName, matches));
   };
 
   if (datasetVersions) {
@@ -281,6 +438,7 @@ function deriveNameFromPath(pkgPath) {
 
 function collectMatchesFromPackages(packages, datasetMap) {
   const matches = [];
+  const findPaths = createDependencyPathFinder(packages || {});
   for (const [pkgPath, meta] of Object.entries(packages || {})) {
     if (!meta || typeof meta !== 'object') continue;
     const version = meta.version;
@@ -288,14 +446,9 @@ function collectMatchesFromPackages(packages, datasetMap) {
     const explicitName = meta.name;
     const derivedName = explicitName || deriveNameFromPath(pkgPath);
     if (!derivedName) continue;
-    const versions = datasetMap.get(derivedName);
-    if (versions && versions.has(version)) {
-      matches.push({
-        kind: 'lock-installed',
-        name: derivedName,
-        version,
-        location: pkgPath || '(root)'
-      });
+    const match = matchLockedPackage(datasetMap, derivedName, version, meta.integrity, { location: pkgPath || '(root)' });
+    if (match) {
+      matches.push({ ...match, dependencyPaths: findPaths(pkgPath) });
     }
   }
   return matches;
@@ -307,14 +460,11 @@ function collectMatchesFromDependencies(depTree, datasetMap, ancestry = []) {
   for (const [name, info] of Object.entries(depTree)) {
     if (!info || typeof info !== 'object') continue;
     const version = info.version;
-    const versions = datasetMap.get(name);
-    if (version && versions && versions.has(version)) {
-      matches.push({
-        kind: 'lock-installed',
-        name,
-        version,
-        location: [...ancestry, name].join(' > ') || name
-      });
+    const match = version
+      ? matchLockedPackage(datasetMap, name, version, info.integrity, { location: [...ancestry, name].join(' > ') || name })
+      : null;
+    if (match) {
+      matches.push(match);
     }
     if (info.dependencies) {
       matches.push(...collectMatchesFromDependencies(info.dependencies, datasetMap, [...ancestry, name]));
@@ -334,6 +484,130 @@ function analyzeLockfile(lock, datasetMap) {
   return matches;
 }
 
+function resolveYarnTarget(descriptor) {
+  const parts = splitYarnDescriptor(descriptor);
+  if (!parts) return null;
+  const alias = parseNpmAlias(parts.range);
+  return alias ? alias.name : parts.name;
+}
+
+function analyzeYarnLock(entries, datasetMap) {
+  const matches = [];
+  for (const entry of entries || []) {
+    if (!entry.version || !Array.isArray(entry.descriptors)) continue;
+    const names = new Set(entry.descriptors.map(resolveYarnTarget).filter(Boolean));
+    const entryMatches = [];
+    for (const name of names) {
+      const match = matchLockedPackage(datasetMap, name, entry.version, entry.integrity, {
+        location: entry.descriptors.join(', '),
+        line: entry.line
+      });
+      if (match) entryMatches.push(match);
+    }
+    // Aliased descriptors share one tarball; report a digest-only hit once per entry.
+    const byName = entryMatches.filter((match) => match.kind === 'lock-installed');
+    matches.push(...(byName.length ? byName : entryMatches.slice(0, 1)));
+  }
+  return matches;
+}
+
+function unwrapBerryDescriptor(descriptor) {
+  const parts = splitYarnDescriptor(descriptor);
+  if (!parts) return null;
+  const protocolMatch = parts.range ? parts.range.match(/^([a-z]+):(.*)$/) : null;
+  if (!protocolMatch) {
+    return { name: parts.name, range: parts.range, protocol: null };
+  }
+  const [, protocol, body] = protocolMatch;
+  if (protocol === 'npm') {
+    // npm:^1.2.0 is a plain range; npm:other@^1.2.0 aliases another package.
+    const alias = body.includes('@') ? parseNpmAlias(parts.range) : null;
+    return alias
+      ? { name: alias.name, range: alias.selector, protocol, aliasOf: parts.name }
+      : { name: parts.name, range: body, protocol };
+  }
+  if (protocol === 'patch') {
+    const inner = unwrapBerryDescriptor(decodeURIComponent(body.split('#')[0]));
+    return inner ? { ...inner, protocol } : null;
+  }
+  if (protocol === 'virtual') {
+    const hashIndex = body.indexOf('#');
+    return hashIndex === -1 ? { name: parts.name, range: null, protocol } : unwrapBerryDescriptor(`${parts.name}@${body.slice(hashIndex + 1)}`);
+  }
+  return { name: parts.name, range: body, protocol };
+}
+
+function analyzeBerryLock(entries, datasetMap) {
+  const requiredBy = new Map();
+  for (const entry of entries || []) {
+    const workspace = (entry.descriptors || []).map(unwrapBerryDescriptor).find((item) => item && item.protocol === 'workspace');
+    if (!workspace) continue;
+    for (const [depName, range] of Object.entries(entry.dependencies || {})) {
+      const descriptor = `${depName}@${range}`;
+      if (!requiredBy.has(descriptor)) requiredBy.set(descriptor, new Set());
+      requiredBy.get(descriptor).add(workspace.name);
+    }
+  }
+
+  const matches = [];
+  for (const entry of entries || []) {
+    if (!entry.version || !Array.isArray(entry.descriptors)) continue;
+    const origins = new Map();
+    for (const descriptor of [...entry.descriptors, entry.resolution].filter(Boolean)) {
+      const unwrapped = unwrapBerryDescriptor(descriptor);
+      if (unwrapped && !origins.has(unwrapped.name)) origins.set(unwrapped.name, descriptor);
+    }
+    for (const [name, descriptor] of origins) {
+      const versions = datasetMap.get(name);
+      if (!versions || !versions.has(entry.version)) continue;
+      const workspaces = new Set();
+      for (const candidate of entry.descriptors) {
+        for (const workspace of requiredBy.get(candidate) || []) workspaces.add(workspace);
+      }
+      matches.push(annotateMatch({
+        kind: 'lock-installed',
+        name,
+        version: entry.version,
+        location: entry.resolution || entry.descriptors.join(', '),
+        descriptor,
+        workspaces: Array.from(workspaces).sort(),
+        line: entry.line
+      }, datasetMap, name, [entry.version]));
+    }
+  }
+  return matches;
+}
+
+function analyzePnpmLock(lock, datasetMap) {
+  const matches = [];
+  for (const pkg of lock?.packages || []) {
+    const match = matchLockedPackage(datasetMap, pkg.name, pkg.version, pkg.integrity, {
+      location: pkg.key,
+      workspaces: pkg.importers,
+      line: pkg.line
+    });
+    if (match) {
+      matches.push(match);
+    }
+  }
+  return matches;
+}
+
+function analyzeBunLock(lock, datasetMap) {
+  const matches = [];
+  for (const [pkgPath, entry] of Object.entries(lock?.packages || {})) {
+    if (!Array.isArray(entry)) continue;
+    const parsed = splitBunPackageId(entry[0]);
+    if (!parsed) continue;
+    // npm entries are [id, registry, info, integrity]
+    const match = matchLockedPackage(datasetMap, parsed.name, parsed.version, entry[3], { location: pkgPath });
+    if (match) {
+      matches.push(match);
+    }
+  }
+  return matches;
+}
+
 function dedupeMatches(matches) {
   const seen = new Map();
   for (const match of matches || []) {
@@ -346,8 +620,18 @@ function dedupeMatches(matches) {
   return Array.from(seen.values());
 }
 
-function detectFileType(parsed) {
+function detectFileType(parsed, fileName) {
+  if (typeof parsed === 'string') {
+    if (fileName && path.basename(fileName) === 'bun.lock') return 'bun-lock';
+    if (isYarnBerryLock(parsed)) return 'yarn-berry-lock';
+    if (isPnpmLock(parsed)) return 'pnpm-lock';
+    if (isYarnLockV1(parsed) || (fileName && path.basename(fileName) === 'yarn.lock')) {
+      return 'yarn-lock';
+    }
+    return 'unknown';
+  }
   if (!parsed || typeof parsed !== 'object') return 'unknown';
+  if (isBunLockData(parsed)) return 'bun-lock';
   if (parsed.lockfileVersion || parsed.packages || (parsed.dependencies && !parsed.name && !parsed.version)) {
     return 'package-lock';
   }
@@ -358,6 +642,20 @@ function formatTextReport(result) {
   const lines = [];
   lines.push(`Scan target: ${result.targetPath ?? '(memory)'}`);
   lines.push(`Dataset: ${result.datasetPath ?? '(in-memory dataset)'}`);
+  if (result.datasetMeta?.signature) {
+    const { status, keyId } = result.datasetMeta.signature;
+    lines.push(`Dataset signature: ${status}${keyId ? ` (key ${keyId})` : ''}`);
+  }
+  for (const feed of result.datasetMeta?.feeds || []) {
+    lines.push(`  feed ${feed.label}: ${feed.entries} entries${feed.age ? `, ${feed.age} old` : ''}${feed.stale ? ' [STALE]' : ''}`);
+  }
+  for (const failure of result.datasetMeta?.failed || []) {
+    lines.push(`  feed ${failure.label} FAILED: ${failure.error}`);
+  }
+  if (result.datasetMeta?.asOf) {
+    const staleNote = result.datasetMeta.stale ? ' [STALE]' : '';
+    lines.push(`Dataset age: ${result.datasetMeta.age} (as of ${result.datasetMeta.asOf})${staleNote}`);
+  }
   lines.push(`File type: ${result.type}`);
   if (!result.matches.length) {
     lines.push('No known Shai-Hulud IoCs found in this file.');
@@ -378,11 +676,37 @@ function formatTextReport(result) {
         const patternNote = match.pattern ? ` [pattern: ${match.pattern}]` : '';
         lines.push(`${prefix} ${match.dependency} (${match.section}) references ${match.target}; verify versions: [${match.matches.join(', ')}]${aliasNote}${patternNote}`);
       } else if (match.kind === 'lock-installed') {
-        lines.push(`${prefix} ${match.name}@${match.version} installed at ${match.location}`);
+        const descriptorNote = match.descriptor ? ` [descriptor: ${match.descriptor}]` : '';
+        const workspaceNote = match.workspaces && match.workspaces.length ? ` (required by ${match.workspaces.join(', ')})` : '';
+        const integrityNote = match.integrity ? ` [integrity: ${match.integrity}]` : '';
+        lines.push(`${prefix} ${match.name}@${match.version} installed at ${match.location}${descriptorNote}${workspaceNote}${integrityNote}`);
+        for (const dependencyPath of match.dependencyPaths || []) {
+          lines.push(`   via ${dependencyPath}`);
+        }
+      } else if (match.kind === 'lock-integrity') {
+        const workspaceNote = match.workspaces && match.workspaces.length ? ` (required by ${match.workspaces.join(', ')})` : '';
+        lines.push(`${prefix} ${match.name}@${match.version} installed at ${match.location} has the tarball integrity of known-malicious ${match.knownAs} [integrity: ${match.integrity}]${workspaceNote}`);
+        for (const dependencyPath of match.dependencyPaths || []) {
+          lines.push(`   via ${dependencyPath}`);
+        }
+      } else if (match.kind === 'package-file') {
+        lines.push(`${prefix} [${match.severity.toUpperCase()}] ${match.path}: ${match.message}`);
       } else {
         lines.push(`${prefix} ${JSON.stringify(match)}`);
       }
+      if (match.advisory) {
+        lines.push(`   advisory: ${formatAdvisory(match.advisory)}`);
+      }
+      if (match.feeds) {
+        lines.push(`   flagged by: ${match.feeds.join(', ')}`);
+      }
     });
+    const fixes = result.matches
+      .map((match, idx) => (match.remediation?.summary ? `${idx + 1}. ${match.remediation.summary}` : null))
+      .filter(Boolean);
+    if (fixes.length) {
+      lines.push('Suggested fixes:', ...fixes);
+    }
     lines.push('Recommended next steps: remove or downgrade the flagged versions, rotate exposed credentials, and redeploy from a clean environment.');
   }
   return lines.join('\n');
@@ -390,34 +714,71 @@ function formatTextReport(result) {
 
 function scanParsedJson(parsed, datasetMap) {
   const type = detectFileType(parsed);
-  const rawMatches = type === 'package'
-    ? analyzeManifest(parsed, datasetMap)
-    : analyzeLockfile(parsed, datasetMap);
+  let rawMatches;
+  if (type === 'package') {
+    rawMatches = analyzeManifest(parsed, datasetMap);
+  } else if (type === 'bun-lock') {
+    rawMatches = analyzeBunLock(parsed, datasetMap);
+  } else {
+    rawMatches = analyzeLockfile(parsed, datasetMap);
+  }
   return { type, matches: dedupeMatches(rawMatches) };
 }
 
-async function scanFile(targetPath, datasetMap) {
-  const { data: parsed } = await loadJsonFile(targetPath, 'target file');
+function scanContent(raw, datasetMap, fileName) {
+  const textType = detectFileType(raw, fileName);
+  if (textType === 'yarn-lock') {
+    return { type: textType, matches: dedupeMatches(analyzeYarnLock(parseYarnLock(raw), datasetMap)) };
+  }
+  if (textType === 'yarn-berry-lock') {
+    return { type: textType, matches: dedupeMatches(analyzeBerryLock(parseBerryLockfile(raw), datasetMap)) };
+  }
+  if (textType === 'pnpm-lock') {
+    return { type: textType, matches: dedupeMatches(analyzePnpmLock(parsePnpmLock(raw), datasetMap)) };
+  }
+  let parsed;
+  try {
+    parsed = textType === 'bun-lock' ? parseBunLock(raw) : JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Failed to parse JSON in ${fileName || 'input'}: ${err.message}`);
+  }
   return scanParsedJson(parsed, datasetMap);
 }
 
+async function scanFile(targetPath, datasetMap) {
+  const { raw, absolute } = await loadTextFile(targetPath, 'target file');
+  return scanContent(raw, datasetMap, absolute);
+}
+
 module.exports = {
   DEFAULT_DATASET_PATH,
   VALID_MANIFEST_SECTIONS,
+  loadTextFile,
   loadJsonFile,
   buildDataset,
+  lookupAdvisory,
+  lookupFeeds,
+  formatAdvisory,
+  parseDatasetPayload,
   fetchDatasetFromUrl,
   parseColonDelimitedDataset,
   parseNpmAlias,
   matchRangeAgainstVersions,
   evaluateManifestSpec,
+  matchLockedPackage,
   normalizeResolutionKey,
   flattenResolutionEntries,
   analyzeManifest,
   analyzeLockfile,
+  analyzeYarnLock,
+  unwrapBerryDescriptor,
+  analyzeBerryLock,
+  analyzePnpmLock,
+  analyzeBunLock,
   dedupeMatches,
   detectFileType,
   formatTextReport,
   scanParsedJson,
+  scanContent,
   scanFile
 };
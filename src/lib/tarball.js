@@ -0,0 +1,156 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 512;
+// Entries above this size are hashed while streaming but their content is not kept for text checks.
+const MAX_ENTRY_BYTES = 16 * 1024 * 1024;
+// Content kept per archive, across all entries; later entries are only hashed so a gzip bomb cannot fill memory.
+const MAX_RETAINED_BYTES = 64 * 1024 * 1024;
+// pax and GNU long-name headers carry a path, never more than this.
+const MAX_META_BYTES = 1024 * 1024;
+const REGULAR_FILE_TYPES = new Set(['0', '\0', '7']);
+
+function isTarballName(fileName) {
+  return /\.tgz$/i.test(fileName);
+}
+
+function readString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readSize(block) {
+  // GNU base-256 encoding for sizes that do not fit the 11 octal digits.
+  if (block[124] & 0x80) {
+    let size = 0;
+    for (let i = 125; i < 136; i += 1) size = size * 256 + block[i];
+    return size;
+  }
+  const octal = readString(block, 124, 12).trim();
+  return octal ? parseInt(octal, 8) : 0;
+}
+
+function parsePaxPath(buffer) {
+  const text = buffer.toString('utf8');
+  let offset = 0;
+  let pathValue = null;
+  while (offset < text.length) {
+    const space = text.indexOf(' ', offset);
+    const length = Number(text.slice(offset, space));
+    if (!length || space === -1) break;
+    const record = text.slice(space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    if (record.slice(0, equals) === 'path') pathValue = record.slice(equals + 1);
+    offset += length;
+  }
+  return pathValue;
+}
+
+function normalizeEntryPath(name) {
+  const parts = name.replace(/\\/g, '/').split('/').filter((part) => part && part !== '.');
+  return parts.includes('..') ? null : parts.join('/');
+}
+
+// Streams a gzipped tarball through gunzip and a small ustar/pax/GNU parser. Nothing is written to disk:
+// each regular file comes back with its SHA-256 and, up to MAX_ENTRY_BYTES, its content (none with `hashOnly`).
+// Once MAX_RETAINED_BYTES of content is held, the remaining entries come back with `content: null`.
+function readTarball(filePath, options = {}) {
+  const maxContentBytes = options.hashOnly ? -1 : MAX_ENTRY_BYTES;
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    let retainedBytes = 0;
+    let pending = Buffer.alloc(0);
+    let current = null;
+    let overridePath = null;
+    let finished = false;
+
+    const startEntry = (header) => {
+      const magic = header.toString('latin1', 257, 262);
+      const prefix = magic === 'ustar' ? readString(header, 345, 155) : '';
+      const name = readString(header, 0, 100);
+      const type = String.fromCharCode(header[156] || 0);
+      const size = readSize(header);
+      const fullName = overridePath || (prefix ? `${prefix}/${name}` : name);
+      const meta = type === 'x' || type === 'L';
+      if (!meta) overridePath = null;
+      const keep = meta
+        ? size <= MAX_META_BYTES
+        : REGULAR_FILE_TYPES.has(type) && size <= maxContentBytes && retainedBytes + size <= MAX_RETAINED_BYTES;
+      if (keep && !meta) retainedBytes += size;
+      current = {
+        type,
+        path: normalizeEntryPath(fullName),
+        size,
+        remaining: size,
+        padding: (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE,
+        chunks: keep ? [] : null,
+        hash: REGULAR_FILE_TYPES.has(type) ? crypto.createHash('sha256') : null
+      };
+    };
+
+    const finishEntry = () => {
+      const entry = current;
+      current = null;
+      const content = entry.chunks ? Buffer.concat(entry.chunks) : null;
+      if (entry.type === 'x') {
+        overridePath = (content && parsePaxPath(content)) || overridePath;
+      } else if (entry.type === 'L') {
+        overridePath = content ? content.toString('utf8').replace(/\0+$/, '') : overridePath;
+      } else if (entry.hash && entry.path) {
+        entries.push({ path: entry.path, size: entry.size, sha256: entry.hash.digest('hex'), content });
+      }
+    };
+
+    const consume = () => {
+      for (;;) {
+        if (finished) return;
+        if (!current) {
+          if (pending.length < BLOCK_SIZE) return;
+          const header = pending.subarray(0, BLOCK_SIZE);
+          pending = pending.subarray(BLOCK_SIZE);
+          if (header.every((byte) => byte === 0)) {
+            finished = true;
+            return;
+          }
+          startEntry(header);
+        }
+        if (current.remaining > 0) {
+          if (!pending.length) return;
+          const take = Math.min(current.remaining, pending.length);
+          const chunk = pending.subarray(0, take);
+          if (current.hash) current.hash.update(chunk);
+          if (current.chunks) current.chunks.push(Buffer.from(chunk));
+          pending = pending.subarray(take);
+          current.remaining -= take;
+          if (current.remaining > 0) return;
+        }
+        if (pending.length < current.padding) return;
+        pending = pending.subarray(current.padding);
+        finishEntry();
+      }
+    };
+
+    const gunzip = zlib.createGunzip();
+    gunzip.on('data', (chunk) => {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      consume();
+    });
+    gunzip.on('error', (err) => reject(new Error(`not a readable gzip archive (${err.message})`)));
+    gunzip.on('end', () => {
+      if (current && !finished) {
+        reject(new Error(`archive ends inside ${current.path || 'an entry'}`));
+        return;
+      }
+      resolve(entries);
+    });
+    fs.createReadStream(filePath).on('error', reject).pipe(gunzip);
+  });
+}
+
+module.exports = {
+  MAX_ENTRY_BYTES,
+  MAX_RETAINED_BYTES,
+  isTarballName,
+  readTarball
+};
@@ -0,0 +1,79 @@
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+function defaultConcurrency() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length || 1;
+}
+
+function createWorkerPool(scriptPath, { size = defaultConcurrency(), workerData } = {}) {
+  const queue = [];
+  const idle = [];
+  const workers = new Set();
+  let nextId = 0;
+  let closed = false;
+
+  const dispatch = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      worker.current = job;
+      worker.postMessage({ ...job.task, id: job.id });
+    }
+  };
+
+  const spawn = () => {
+    const worker = new Worker(scriptPath, { workerData });
+    worker.current = null;
+    worker.on('message', (message) => {
+      const job = worker.current;
+      worker.current = null;
+      idle.push(worker);
+      if (job) {
+        if (message.error) job.reject(new Error(message.error));
+        else job.resolve(message.result);
+      }
+      dispatch();
+    });
+    worker.on('error', (err) => {
+      workers.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) idle.splice(index, 1);
+      if (worker.current) worker.current.reject(err);
+      if (!closed) {
+        spawn();
+        dispatch();
+      }
+    });
+    workers.add(worker);
+    idle.push(worker);
+  };
+
+  for (let i = 0; i < Math.max(1, size); i += 1) {
+    spawn();
+  }
+
+  return {
+    size: workers.size,
+    run(task) {
+      if (closed) return Promise.reject(new Error('Worker pool is closed.'));
+      return new Promise((resolve, reject) => {
+        nextId += 1;
+        queue.push({ id: nextId, task, resolve, reject });
+        dispatch();
+      });
+    },
+    async close() {
+      closed = true;
+      for (const job of queue.splice(0)) {
+        job.reject(new Error('Worker pool is closed.'));
+      }
+      await Promise.all(Array.from(workers, (worker) => worker.terminate()));
+      workers.clear();
+    }
+  };
+}
+
+module.exports = {
+  defaultConcurrency,
+  createWorkerPool
+};
@@ -0,0 +1,217 @@
+const YAML = require('yaml');
+const { SUSPICIOUS_BRANCH_PATTERNS } = require('./iocs');
+const { analyzeShellScript, isDownloader } = require('./lifecycle-scripts');
+const { openRepository, listRefs, matchRefs, findAddedFiles } = require('./git-repo');
+
+const WORKFLOW_PATH = /(?:^|\/)\.github\/workflows\/[^/]+\.ya?ml$/i;
+const SECRETS_DUMP = /toJSON\(\s*secrets\s*\)/i;
+const SECRETS_EXPRESSION = /\$\{\{[^}]*\bsecrets\b/i;
+const GITHUB_HOSTS = /(?:^|\.)(?:github\.com|githubusercontent\.com|ghcr\.io)$/i;
+const ANY_BRANCH = new Set(['*', '**']);
+
+function isWorkflowPath(relativePath) {
+  return WORKFLOW_PATH.test(relativePath);
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalizeTriggers(on) {
+  if (typeof on === 'string') return { [on]: {} };
+  if (Array.isArray(on)) return Object.fromEntries(on.map((event) => [event, {}]));
+  return on && typeof on === 'object' ? on : {};
+}
+
+// A push trigger without a branch filter (and not limited to tags) fires for every branch, including one the worm pushes.
+function pushesFromAnyBranch(triggers) {
+  if (!('push' in triggers)) return false;
+  const push = triggers.push || {};
+  if (push.branches) return asList(push.branches).some((branch) => ANY_BRANCH.has(String(branch)));
+  return !push.tags || Boolean(push['branches-ignore']);
+}
+
+function writeScopes(permissions) {
+  if (permissions === 'write-all') return ['write-all'];
+  if (!permissions || typeof permissions !== 'object') return [];
+  return Object.entries(permissions).filter(([, level]) => level === 'write').map(([scope]) => `${scope}: write`);
+}
+
+function secretEnvNames(...envBlocks) {
+  const names = new Set();
+  for (const env of envBlocks) {
+    if (!env || typeof env !== 'object') continue;
+    for (const [name, value] of Object.entries(env)) {
+      if (SECRETS_EXPRESSION.test(String(value)) || SECRETS_DUMP.test(String(value))) names.add(name);
+    }
+  }
+  return names;
+}
+
+function referencesSecrets(text, envNames) {
+  if (SECRETS_EXPRESSION.test(text) || SECRETS_DUMP.test(text)) return true;
+  for (const name of envNames) {
+    const escaped = name.replace(/[^\w]/g, '\\$&');
+    if (new RegExp(`\\$(?:\\{${escaped}\\}|${escaped}\\b|env:${escaped}\\b)`).test(text)) return true;
+  }
+  return false;
+}
+
+function requestHosts(command) {
+  const hosts = [];
+  for (const arg of command.args) {
+    const match = /^(?:https?:\/\/)([^/:?#\s]+)/i.exec(arg.replace(/^['"]/, ''));
+    if (match && !match[1].includes('${{')) hosts.push(match[1].toLowerCase());
+  }
+  return hosts;
+}
+
+function sendsData(command) {
+  const { name, args } = command;
+  if (name === 'curl') {
+    return args.some((arg, index) => /^(?:-d|--data.*|-F|--form.*|-T|--upload-file|--json)$/.test(arg)
+      || (/^(?:-X|--request)$/.test(arg) && /^(?:POST|PUT|PATCH)$/i.test(args[index + 1] || ''))
+      || /^-X(?:POST|PUT|PATCH)$/i.test(arg));
+  }
+  if (name === 'wget') return args.some((arg) => /^--(?:post-data|post-file|body-data|body-file)|^--method=(?:POST|PUT)/i.test(arg));
+  return args.some((arg, index) => /^-(?:body|infile)$/i.test(arg)
+    || (/^-method$/i.test(arg) && /^(?:post|put|patch)$/i.test(args[index + 1] || '')));
+}
+
+function isBase64Encode(command) {
+  if (command.name === 'base64') return !command.args.some((arg) => arg === '-d' || arg === '-D' || arg === '--decode');
+  if (command.name === 'openssl') return command.args.includes('base64') && !command.args.includes('-d');
+  return false;
+}
+
+function createLocator(doc, lineCounter) {
+  const lineOf = (node) => (node?.range ? lineCounter.linePos(node.range[0]).line : null);
+  return {
+    key(pathKeys) {
+      const parent = pathKeys.length > 1 ? doc.getIn(pathKeys.slice(0, -1), true) : doc.contents;
+      const pair = parent?.items?.find((item) => item.key?.value === pathKeys[pathKeys.length - 1]);
+      return lineOf(pair?.key);
+    },
+    node(pathKeys) {
+      return lineOf(doc.getIn(pathKeys, true));
+    }
+  };
+}
+
+function analyzeSteps(jobId, job, workflowEnv, locate, report) {
+  const steps = Array.isArray(job.steps) ? job.steps : [];
+  steps.forEach((step, index) => {
+    if (!step || typeof step !== 'object') return;
+    const where = { job: jobId, step: index + 1, stepName: typeof step.name === 'string' ? step.name : null, line: locate.node(['jobs', jobId, 'steps', index]) };
+    const envNames = secretEnvNames(workflowEnv, job.env, step.env);
+    const texts = [step.run, ...Object.values(step.with || {}), ...Object.values(step.env || {})].filter((value) => typeof value === 'string');
+    if (texts.some((text) => SECRETS_DUMP.test(text))) {
+      report({ ...where, check: 'secrets-dump', severity: 'high', detail: 'serializes every secret with toJSON(secrets)' });
+    }
+    if (typeof step.run !== 'string') return;
+    const run = step.run;
+    const stepUsesSecrets = referencesSecrets(run, envNames);
+    const { commands } = analyzeShellScript(run);
+    const encoder = commands.find(isBase64Encode);
+    if (encoder && stepUsesSecrets) {
+      report({ ...where, check: 'secrets-base64', severity: 'high', detail: `base64-encodes secrets ("${encoder.text}")` });
+    }
+    for (const command of commands.filter(isDownloader)) {
+      const hosts = requestHosts(command).filter((host) => !GITHUB_HOSTS.test(host));
+      if (!hosts.length) continue;
+      const posts = sendsData(command);
+      const withSecrets = posts && (stepUsesSecrets || referencesSecrets(command.text, envNames));
+      report({
+        ...where,
+        check: posts ? 'external-post' : 'external-request',
+        severity: withSecrets ? 'high' : posts ? 'medium' : 'low',
+        detail: `${withSecrets ? 'sends secrets to' : posts ? 'posts data to' : 'requests'} external host ${hosts.join(', ')} ("${command.text}")`,
+        hosts
+      });
+    }
+  });
+}
+
+function analyzeWorkflow(text) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter });
+  if (doc.errors.length) {
+    return { error: doc.errors[0].message.split('\n')[0], issues: [] };
+  }
+  const workflow = doc.toJS() || {};
+  if (typeof workflow !== 'object' || Array.isArray(workflow)) {
+    return { error: 'workflow is not a mapping', issues: [] };
+  }
+  const locate = createLocator(doc, lineCounter);
+  const issues = [];
+  const report = (issue) => issues.push({ job: null, step: null, stepName: null, ...issue });
+
+  const triggers = normalizeTriggers(workflow.on);
+  const branchFilters = asList(triggers.push?.branches).map(String);
+  const wormBranch = branchFilters.find((branch) => SUSPICIOUS_BRANCH_PATTERNS.some((pattern) => pattern.test(branch)));
+  if (wormBranch) {
+    report({ check: 'worm-branch-trigger', severity: 'high', detail: `triggers on pushes to branch "${wormBranch}"`, line: locate.key(['on']) });
+  }
+  if (SECRETS_DUMP.test(JSON.stringify(workflow.env || {}))) {
+    report({ check: 'secrets-dump', severity: 'high', detail: 'serializes every secret with toJSON(secrets) in workflow env', line: locate.key(['env']) });
+  }
+
+  const anyBranchPush = pushesFromAnyBranch(triggers);
+  const jobs = workflow.jobs && typeof workflow.jobs === 'object' ? workflow.jobs : {};
+  for (const [jobId, job] of Object.entries(jobs)) {
+    if (!job || typeof job !== 'object') continue;
+    const jobLine = locate.key(['jobs', jobId]);
+    const scopes = writeScopes(job.permissions !== undefined ? job.permissions : workflow.permissions);
+    if (anyBranchPush && scopes.length) {
+      report({ job: jobId, check: 'push-write', severity: 'medium', detail: `runs on push to any branch with write permissions (${scopes.join(', ')})`, line: jobLine });
+    }
+    if (SECRETS_DUMP.test(JSON.stringify(job.env || {}))) {
+      report({ job: jobId, check: 'secrets-dump', severity: 'high', detail: 'serializes every secret with toJSON(secrets) in job env', line: jobLine });
+    }
+    analyzeSteps(jobId, job, workflow.env, locate, report);
+  }
+  return { error: null, issues };
+}
+
+function describeWorkflowLocation(issue) {
+  if (issue.step) {
+    return `job "${issue.job}" step ${issue.step}${issue.stepName ? ` ("${issue.stepName}")` : ''}`;
+  }
+  return issue.job ? `job "${issue.job}"` : 'workflow';
+}
+
+function formatWorkflowMessage(issue) {
+  const line = issue.line ? ` (line ${issue.line})` : '';
+  return `Workflow ${describeWorkflowLocation(issue)} ${issue.detail}${line}.`;
+}
+
+// Maps each workflow path (relative to the scan root) to the worm-named branch whose own commits added it.
+async function findWormBranchWorkflows(rootDir) {
+  const repo = await openRepository(rootDir);
+  if (!repo) return new Map();
+  try {
+    const refs = await listRefs(repo);
+    const suspicious = matchRefs(refs, SUSPICIOUS_BRANCH_PATTERNS);
+    const others = refs.filter((ref) => !suspicious.includes(ref)).map((ref) => ref.name);
+    const byPath = new Map();
+    for (const ref of suspicious) {
+      const added = await findAddedFiles(repo, ref.name, `${repo.prefix}*.github/workflows/*`, others);
+      for (const [file, commit] of added) {
+        if (!file.startsWith(repo.prefix)) continue;
+        const relative = file.slice(repo.prefix.length);
+        if (!byPath.has(relative)) byPath.set(relative, { branch: ref.shortName, ...commit });
+      }
+    }
+    return byPath;
+  } catch (err) {
+    return new Map();
+  }
+}
+
+module.exports = {
+  isWorkflowPath,
+  analyzeWorkflow,
+  formatWorkflowMessage,
+  findWormBranchWorkflows
+};
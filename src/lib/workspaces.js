@@ -0,0 +1,158 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+const ROOT_WORKSPACE = '(root)';
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+function segmentMatcher(segment) {
+  if (!segment.includes('*')) return null;
+  const source = segment.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  return new RegExp(`^${source}$`);
+}
+
+async function listDirs(dir) {
+  try {
+    const dirents = await fsp.readdir(dir, { withFileTypes: true });
+    return dirents.filter((dirent) => dirent.isDirectory() && !SKIPPED_DIRS.has(dirent.name) && !dirent.name.startsWith('.')).map((dirent) => dirent.name);
+  } catch (err) {
+    return [];
+  }
+}
+
+// Expands one npm/Yarn/pnpm workspace glob (`packages/*`, `apps/**`, `tools/cli`) to directories under rootDir.
+async function expandPattern(rootDir, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  let current = [''];
+  for (const segment of segments) {
+    const next = new Set();
+    for (const base of current) {
+      if (segment === '**') {
+        const stack = [base];
+        while (stack.length) {
+          const dir = stack.pop();
+          next.add(dir);
+          for (const name of await listDirs(path.join(rootDir, dir))) stack.push(path.posix.join(dir, name));
+        }
+        continue;
+      }
+      const matcher = segmentMatcher(segment);
+      if (!matcher) {
+        next.add(path.posix.join(base, segment));
+        continue;
+      }
+      for (const name of await listDirs(path.join(rootDir, base))) {
+        if (matcher.test(name)) next.add(path.posix.join(base, name));
+      }
+    }
+    current = Array.from(next);
+  }
+  return current;
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+async function readWorkspacePatterns(rootDir) {
+  const patterns = [];
+  const manifest = await readJson(path.join(rootDir, 'package.json'));
+  const declared = Array.isArray(manifest?.workspaces) ? manifest.workspaces : manifest?.workspaces?.packages;
+  if (Array.isArray(declared)) patterns.push(...declared);
+  try {
+    const pnpm = YAML.parse(await fsp.readFile(path.join(rootDir, 'pnpm-workspace.yaml'), 'utf8'));
+    if (Array.isArray(pnpm?.packages)) patterns.push(...pnpm.packages);
+  } catch (err) {
+    // no pnpm workspace file, or one we cannot read
+  }
+  return { rootName: manifest?.name || null, patterns: patterns.filter((pattern) => typeof pattern === 'string') };
+}
+
+// Returns null for projects that declare no workspaces. Otherwise the root project comes first, then every
+// workspace package as { name, path } with `path` relative to rootDir using forward slashes.
+async function discoverWorkspaces(rootDir) {
+  const { rootName, patterns } = await readWorkspacePatterns(rootDir);
+  if (!patterns.length) return null;
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith('!');
+    for (const dir of await expandPattern(rootDir, negated ? pattern.slice(1) : pattern)) {
+      (negated ? excluded : included).add(dir);
+    }
+  }
+  const workspaces = [{ name: ROOT_WORKSPACE, path: '', packageName: rootName }];
+  for (const dir of Array.from(included).sort()) {
+    if (!dir || excluded.has(dir)) continue;
+    const manifest = await readJson(path.join(rootDir, dir, 'package.json'));
+    if (!manifest) continue;
+    workspaces.push({ name: manifest.name || dir, path: dir, packageName: manifest.name || null });
+  }
+  return workspaces;
+}
+
+function createWorkspaceResolver(workspaces) {
+  const byPathLength = workspaces.filter((workspace) => workspace.path).sort((a, b) => b.path.length - a.path.length);
+  const root = workspaces.find((workspace) => !workspace.path);
+  const lookup = new Map();
+  for (const workspace of workspaces) {
+    lookup.set(workspace.name, workspace);
+    lookup.set(workspace.path || '.', workspace);
+    if (workspace.packageName) lookup.set(workspace.packageName, workspace);
+  }
+
+  return {
+    // The workspace whose directory holds a finding's path (archive entries belong to the archive's directory).
+    owner(relativePath) {
+      const normalized = relativePath.split('!')[0].split(path.sep).join('/');
+      return byPathLength.find((workspace) => normalized.startsWith(`${workspace.path}/`)) || root;
+    },
+    // Resolves the labels lockfiles use for a requirer: package names (npm, Yarn) or importer paths (pnpm).
+    find(label) {
+      return lookup.get(label) || null;
+    }
+  };
+}
+
+// npm's dependency chains start at the root or workspace that requires the package.
+function lockfileRequirers(details) {
+  if (Array.isArray(details?.workspaces) && details.workspaces.length) return details.workspaces;
+  if (Array.isArray(details?.dependencyPaths)) return details.dependencyPaths.map((chain) => chain.split(' > ')[0]);
+  return [];
+}
+
+// Findings are owned by the workspace that contains them; lockfile hits in a shared lockfile are attributed
+// to the workspaces that depend on the package instead, when the lockfile says which ones do.
+function attributeWorkspaces(finding, resolver) {
+  const owner = resolver.owner(finding.path);
+  if (finding.type !== 'lockfile') return [owner.name];
+  const requirers = new Set();
+  for (const label of lockfileRequirers(finding.details)) {
+    const workspace = resolver.find(label);
+    if (workspace) requirers.add(workspace.name);
+  }
+  return requirers.size ? Array.from(requirers).sort() : [owner.name];
+}
+
+function summarizeWorkspaces(workspaces, findings) {
+  const counts = new Map(workspaces.map((workspace) => [workspace.name, { high: 0, medium: 0, low: 0 }]));
+  for (const finding of findings) {
+    for (const name of finding.workspaces || []) {
+      const bucket = counts.get(name);
+      if (bucket) bucket[finding.severity] = (bucket[finding.severity] || 0) + 1;
+    }
+  }
+  return workspaces.map((workspace) => ({ name: workspace.name, path: workspace.path || '.', counts: counts.get(workspace.name) }));
+}
+
+module.exports = {
+  ROOT_WORKSPACE,
+  discoverWorkspaces,
+  createWorkspaceResolver,
+  attributeWorkspaces,
+  summarizeWorkspaces
+};
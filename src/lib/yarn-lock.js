@@ -0,0 +1,144 @@
+const { parseDocument, LineCounter, isMap, isScalar } = require('yaml');
+
+const YARN_V1_HEADER = /^#\s*yarn lockfile v1/m;
+const YARN_BERRY_METADATA = /^__metadata:/m;
+
+function isYarnLockV1(text) {
+  return typeof text === 'string' && YARN_V1_HEADER.test(text);
+}
+
+function isYarnBerryLock(text) {
+  return typeof text === 'string' && YARN_BERRY_METADATA.test(text);
+}
+
+function unquote(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/\\"/g, '"');
+  }
+  return trimmed;
+}
+
+function splitDescriptors(keyLine) {
+  const descriptors = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of keyLine) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+      continue;
+    }
+    if (char === ',' && !inQuotes) {
+      if (current.trim()) descriptors.push(unquote(current));
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) descriptors.push(unquote(current));
+  return descriptors;
+}
+
+function splitKeyValue(line) {
+  const trimmed = line.trim();
+  let key;
+  let rest;
+  if (trimmed.startsWith('"')) {
+    const closing = trimmed.indexOf('"', 1);
+    key = trimmed.slice(1, closing);
+    rest = trimmed.slice(closing + 1);
+  } else {
+    const spaceIndex = trimmed.search(/\s/);
+    key = spaceIndex === -1 ? trimmed : trimmed.slice(0, spaceIndex);
+    rest = spaceIndex === -1 ? '' : trimmed.slice(spaceIndex);
+  }
+  return { key: key.replace(/:$/, ''), value: rest.trim() ? unquote(rest) : null, opensBlock: !rest.trim() && trimmed.endsWith(':') };
+}
+
+function parseYarnLock(text) {
+  const entries = [];
+  const lines = String(text).split(/\r?\n/);
+  let entry = null;
+  let block = null;
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || line.trimStart().startsWith('#')) return;
+    const indent = line.length - line.trimStart().length;
+
+    if (indent === 0) {
+      const keyLine = line.trim().replace(/:$/, '');
+      entry = {
+        descriptors: splitDescriptors(keyLine),
+        version: null,
+        resolved: null,
+        integrity: null,
+        dependencies: {},
+        optionalDependencies: {},
+        line: index + 1
+      };
+      block = null;
+      entries.push(entry);
+      return;
+    }
+    if (!entry) return;
+
+    const { key, value, opensBlock } = splitKeyValue(line);
+    if (indent <= 2) {
+      block = null;
+      if (opensBlock) {
+        block = key;
+        if (!entry[block] || typeof entry[block] !== 'object') entry[block] = {};
+      } else if (key) {
+        entry[key] = value;
+      }
+      return;
+    }
+    if (block && key) {
+      entry[block][key] = value;
+    }
+  });
+
+  return entries;
+}
+
+function parseBerryLockfile(text) {
+  const lineCounter = new LineCounter();
+  // The failsafe schema keeps every scalar a string so versions like 1.10 survive intact.
+  const doc = parseDocument(String(text), { schema: 'failsafe', lineCounter });
+  if (doc.errors.length) {
+    throw new Error(doc.errors[0].message);
+  }
+  const entries = [];
+  if (!isMap(doc.contents)) return entries;
+  for (const pair of doc.contents.items) {
+    const key = isScalar(pair.key) ? String(pair.key.value) : null;
+    if (!key || key === '__metadata' || !isMap(pair.value)) continue;
+    const value = pair.value.toJSON();
+    entries.push({
+      descriptors: key.split(',').map((item) => item.trim()).filter(Boolean),
+      version: value.version || null,
+      resolution: value.resolution || null,
+      checksum: value.checksum || null,
+      dependencies: value.dependencies || {},
+      peerDependencies: value.peerDependencies || {},
+      line: lineCounter.linePos(pair.key.range[0]).line
+    });
+  }
+  return entries;
+}
+
+function splitYarnDescriptor(descriptor) {
+  if (typeof descriptor !== 'string' || !descriptor) return null;
+  const atIndex = descriptor.indexOf('@', descriptor.startsWith('@') ? 1 : 0);
+  if (atIndex <= 0) return { name: descriptor, range: null };
+  return { name: descriptor.slice(0, atIndex), range: descriptor.slice(atIndex + 1) || null };
+}
+
+module.exports = {
+  isYarnLockV1,
+  isYarnBerryLock,
+  parseYarnLock,
+  parseBerryLockfile,
+  splitYarnDescriptor
+};
@@ -1,25 +1,60 @@
 #!/usr/bin/env node
+const fs = require('fs');
 const path = require('path');
-const { buildDataset } = require('./lib/scanner');
-const { resolveDataset } = require('./lib/dataset');
+const { buildDataset, formatAdvisory } = require('./lib/scanner');
+const { resolveDatasets } = require('./lib/dataset');
 const { scanProject } = require('./lib/project-scanner');
+const { defaultScanCachePath } = require('./lib/scan-cache');
+const { buildSarifLog } = require('./lib/sarif');
+const { createPackumentSource, suggestFix } = require('./lib/remediation');
+const { loadRuleSet } = require('./lib/rule-packs');
+const { formatExposureItem } = require('./lib/credential-exposure');
+const {
+  BASELINE_FILENAME,
+  loadBaseline,
+  updateBaseline,
+  writeBaseline
+} = require('./lib/baseline');
+const { parseObfuscationThreshold } = require('./config');
 
 const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+const OUTPUT_FORMATS = new Set(['text', 'json', 'sarif']);
 
 function parseArgs(argv) {
   const args = argv.slice(2);
   const options = {
-    flags: new Set()
+    flags: new Set(),
+    format: 'text',
+    datasets: [],
+    rules: []
   };
   for (let i = 0; i < args.length; i += 1) {
     const token = args[i];
     switch (token) {
       case '-d':
       case '--data':
-        options.dataset = args[++i];
+        options.datasets.push(args[++i]);
         break;
       case '--json':
-        options.json = true;
+        options.format = 'json';
+        break;
+      case '--format':
+        options.format = args[++i];
+        if (!OUTPUT_FORMATS.has(options.format)) {
+          throw new Error(`Unknown format: ${options.format} (expected text, json or sarif)`);
+        }
+        break;
+      case '--offline':
+        options.offline = true;
+        break;
+      case '--max-age':
+        options.maxAge = args[++i];
+        break;
+      case '--require-signed':
+        options.requireSigned = true;
+        break;
+      case '--trusted-keys':
+        options.trustedKeysPath = args[++i];
         break;
       case '--quiet':
       case '-q':
@@ -28,6 +63,77 @@ function parseArgs(argv) {
       case '--include-node-modules':
         options.includeNodeModules = true;
         break;
+      case '--rules':
+        options.rules.push(args[++i]);
+        break;
+      case '--installed':
+        options.installedTree = true;
+        break;
+      case '--git-history':
+        options.gitHistory = true;
+        break;
+      case '--workspace':
+        options.workspace = args[++i];
+        if (!options.workspace) {
+          throw new Error('--workspace expects a workspace name or path');
+        }
+        break;
+      case '--exposure':
+        options.exposure = options.exposure || {};
+        break;
+      case '--exposure-home':
+        options.exposure = { home: true };
+        break;
+      case '--concurrency':
+        options.concurrency = Number(args[++i]);
+        if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+          throw new Error('--concurrency expects a positive integer');
+        }
+        break;
+      case '--obfuscation-threshold':
+        options.obfuscationThreshold = parseObfuscationThreshold(args[++i]);
+        if (options.obfuscationThreshold === null) {
+          throw new Error('--obfuscation-threshold expects a score between 0 and 100');
+        }
+        break;
+      case '--cache':
+        options.cache = true;
+        break;
+      case '--cache-file':
+        options.cache = true;
+        options.cacheFile = args[++i];
+        break;
+      case '--baseline':
+        options.baseline = args[++i];
+        break;
+      case '--no-baseline':
+        options.noBaseline = true;
+        break;
+      case '--update-baseline':
+        options.updateBaseline = true;
+        break;
+      case '--owner':
+        options.owner = args[++i];
+        break;
+      case '--justification':
+        options.justification = args[++i];
+        break;
+      case '--expires':
+        options.expires = args[++i];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(options.expires || '')) {
+          throw new Error(`--expires expects a YYYY-MM-DD date, got: ${options.expires}`);
+        }
+        break;
+      case '--suggest-fixes':
+        options.suggestFixes = true;
+        break;
+      case '--packuments':
+        options.suggestFixes = true;
+        options.packumentDir = args[++i];
+        break;
+      case '--npm-cache':
+        options.npmCacheDir = args[++i];
+        break;
       case '--help':
       case '-h':
         options.flags.add('help');
@@ -40,44 +146,145 @@ function parseArgs(argv) {
         }
     }
   }
+  // A filtered run would drop every other workspace's entries from the baseline.
+  if (options.workspace && options.updateBaseline) {
+    throw new Error('--workspace cannot be combined with --update-baseline');
+  }
   return options;
 }
 
 function showHelp() {
-  console.log(`Usage: node src/project-scan.js [options] <directory>
+  console.log(`Usage: node src/project-scan.js [options] <directory|package.tgz>
 
 Options:
-  -d, --data <path|url>     Override dataset JSON (file path or URL)
+  -d, --data <path|url>     Override dataset JSON (file path or URL); repeat to merge several feeds,
+                            optionally labelled as <label>=<path|url>
       --json                Emit JSON report instead of text
+      --format <text|json|sarif>
+                            Output format (sarif emits SARIF 2.1.0)
   -q, --quiet               Suppress dataset fetch warnings
+      --offline             Use the cached dataset only; never fetch
+      --max-age <age>       Reuse a cached feed younger than this (e.g. 30m, 6h; default 1h)
+      --require-signed      Refuse feeds without a valid Ed25519 signature from a trusted key
+      --trusted-keys <path> Trusted public keys (default: ~/.config/shai-hulud/trusted-keys.json)
       --include-node-modules
                             Scan node_modules directory (slower)
+      --rules <path>        Layer a JSON/YAML rule pack over the built-in indicators (repeatable)
+      --installed           Audit installed node_modules versions against the dataset and lockfile
+      --git-history         Search refs and every commit for worm branches, workflows and payload hashes
+      --workspace <name>    Only report findings that belong to this workspace (package name or path)
+      --exposure            List the credentials in the project a compromised install could have read,
+                            as a rotation checklist with masked values
+      --exposure-home       Same, plus credential files in the home directory and the environment
+      --obfuscation-threshold <score>
+                            Minimum heuristic score (0-100) for obfuscated-payload findings (default: 60)
+      --concurrency <n>     Worker threads for hashing and content checks (default: CPU count)
+      --cache               Reuse hash/content results for unchanged files between runs
+      --cache-file <path>   Scan cache location (implies --cache)
+      --baseline <path>     Suppression file (default: <directory>/.shai-hulud-baseline.json)
+      --no-baseline         Ignore the baseline and report every finding
+      --update-baseline     Write current findings to the baseline and exit
+      --owner <name>        Owner recorded on new baseline entries
+      --justification <text>
+                            Justification recorded on new baseline entries
+      --expires <YYYY-MM-DD>
+                            Expiry for new baseline entries (default: 90 days)
+      --suggest-fixes       Propose the nearest safe version for flagged dependencies
+      --packuments <dir>    Read <name>.json packuments from this directory (implies --suggest-fixes)
+      --npm-cache <dir>     npm cache to read packuments from (default: ~/.npm/_cacache)
   -h, --help                Show help
 
 Examples:
   node src/project-scan.js .
   node src/project-scan.js --include-node-modules ../some-project
-  node src/project-scan.js -d ./data/compromised-packages.json ..`);
+  node src/project-scan.js --format sarif . > shai-hulud.sarif
+  node src/project-scan.js --suggest-fixes .
+  node src/project-scan.js --update-baseline --owner secops --justification "research notes" .
+  node src/project-scan.js -d ./data/compromised-packages.json ..
+  node src/project-scan.js -d public=https://example.com/iocs.json -d local=./extra-iocs.json .`);
+}
+
+function formatSignatureNote(signature) {
+  if (!signature) return '';
+  if (signature.status === 'valid') return ` [signed: ${signature.keyId}]`;
+  return ` [${signature.status}]`;
 }
 
 function formatDatasetMeta(meta) {
   if (!meta) return 'Dataset: (none)';
+  if (meta.source === 'merged') {
+    const lines = [`Dataset source: ${meta.feeds.length} merged feed(s)`];
+    for (const feed of meta.feeds) {
+      lines.push(`  - ${feed.label}: ${feed.entries} entries${feed.cache ? ` [cache: ${feed.cache}]` : ''}${formatSignatureNote(feed.signature)}${feed.age ? `, ${feed.age} old` : ''}${feed.stale ? ' [STALE]' : ''}`);
+    }
+    for (const failure of meta.failed) {
+      lines.push(`  - ${failure.label}: FAILED (${failure.error})`);
+    }
+    return lines.join('\n');
+  }
   if (meta.source === 'remote-custom' || meta.source === 'remote-default') {
-    return `Dataset source: ${meta.source} (${meta.url})`;
+    const cacheNote = meta.cache === 'stale'
+      ? ` [cache: stale, refresh failed: ${meta.lastError ?? 'unknown error'}]`
+      : meta.cache ? ` [cache: ${meta.cache}]` : '';
+    return `Dataset source: ${meta.source} (${meta.label ? `${meta.label}: ` : ''}${meta.url})${cacheNote}${formatSignatureNote(meta.signature)}`;
   }
   if (meta.source === 'local-fallback') {
     return `Dataset source: local fallback (${meta.path}) [failed to load ${meta.fallbackFrom}: ${meta.lastError ?? 'unknown error'}]`;
   }
-  return `Dataset source: ${meta.source} (${meta.path ?? meta.url ?? 'unknown'})`;
+  return `Dataset source: ${meta.source} (${meta.label ? `${meta.label}: ` : ''}${meta.path ?? meta.url ?? 'unknown'})${formatSignatureNote(meta.signature)}`;
+}
+
+function formatExposure(report) {
+  if (!report.exposure) return [];
+  const { scopes, items } = report.exposure;
+  if (!items.length) {
+    return [`Credential exposure (${scopes.join(' + ')}): no credentials found.`];
+  }
+  const urgency = report.counts.high > 0
+    ? 'rotate all of them: high-risk indicators were found'
+    : 'rotate them if any finding is confirmed';
+  const lines = [`Credential exposure (${scopes.join(' + ')}): ${items.length} credential(s), ${urgency}`];
+  for (const item of items) {
+    lines.push(`  [ ] ${formatExposureItem(item)}`);
+  }
+  return lines;
 }
 
 function formatProjectReport(report) {
   const lines = [];
-  lines.push(`Scan target: ${report.targetPath}`);
+  lines.push(`Scan target: ${report.targetFile ?? report.targetPath}`);
   lines.push(formatDatasetMeta(report.dataset));
   lines.push(`Dataset entries: ${report.dataset?.entries ?? 0}${report.dataset?.malformed ? ` (ignored ${report.dataset.malformed} malformed)` : ''}`);
-  lines.push(`File coverage: ${report.stats.manifestsScanned} manifest(s), ${report.stats.filesHashed} hash checks, ${report.stats.contentScanned} content checks`);
+  if (report.dataset?.asOf) {
+    lines.push(`Dataset age: ${report.dataset.age} (as of ${report.dataset.asOf})${report.dataset.stale ? ' [STALE]' : ''}`);
+  }
+  const cacheNote = report.stats.cacheHits !== undefined ? ` (${report.stats.cacheHits} file(s) reused from cache)` : '';
+  lines.push(`File coverage: ${report.stats.manifestsScanned} manifest(s), ${report.stats.filesHashed} hash checks, ${report.stats.contentScanned} content checks, ${report.stats.scriptsAnalyzed} script heuristics${cacheNote}`);
+  if (report.stats.tarballsScanned) {
+    lines.push(`Tarballs: ${report.stats.tarballsScanned} archive(s), ${report.stats.tarballEntries} entr${report.stats.tarballEntries === 1 ? 'y' : 'ies'} inspected in memory`);
+  }
+  if (report.stats.installedPackages !== undefined) {
+    lines.push(`Installed tree: ${report.stats.installedPackages} package(s) compared against ${report.stats.installedLockfile ?? 'the dataset only (no npm lockfile)'}`);
+  }
+  if (report.stats.gitHistory) {
+    const history = report.stats.gitHistory;
+    lines.push(history.repository
+      ? `Git history: ${history.commits} commit(s) across ${history.refs} ref(s), ${history.blobsHashed} blob(s) hashed (${history.repository})`
+      : 'Git history: scan target is not inside a git repository');
+  }
+  if (report.workspaces) {
+    lines.push(`Workspaces${report.workspaceFilter ? ` (filtered to ${report.workspaceFilter})` : ''}:`);
+    for (const workspace of report.workspaces) {
+      lines.push(`  - ${workspace.name} (${workspace.path}): ${workspace.counts.high} high / ${workspace.counts.medium} medium / ${workspace.counts.low} low`);
+    }
+  }
+  if (report.rulePacks?.length > 1) {
+    lines.push(`Rule packs: ${report.rulePacks.map((pack) => `${pack.id}@${pack.version}`).join(', ')}`);
+  }
   lines.push(`Findings: ${report.counts.high} high / ${report.counts.medium} medium / ${report.counts.low} low`);
+  if (report.baseline?.exists) {
+    lines.push(`Baseline: ${report.baseline.suppressed} suppressed, ${report.baseline.expired} expired (${report.baseline.path})`);
+  }
   lines.push('');
 
   const findings = [...report.findings].sort((a, b) => {
@@ -89,6 +296,8 @@ function formatProjectReport(report) {
 
   if (!findings.length) {
     lines.push('No known Shai-Hulud indicators were detected in this project.');
+    const exposure = formatExposure(report);
+    if (exposure.length) lines.push('', ...exposure);
     return lines.join('\n');
   }
 
@@ -103,11 +312,28 @@ function formatProjectReport(report) {
     if (!subset.length) continue;
     lines.push(`${severityLabels[severity]} indicators:`);
     subset.forEach((finding) => {
-      lines.push(`  - ${finding.path}: ${finding.message}`);
+      const expiredNote = finding.suppression?.expired ? ` [baseline suppression expired ${finding.suppression.expires}]` : '';
+      const ruleNote = finding.rule ? ` [${finding.rule.pack}/${finding.rule.id}]` : '';
+      const workspaceNote = finding.workspaces ? ` [workspace: ${finding.workspaces.join(', ')}]` : '';
+      lines.push(`  - ${finding.path}: ${finding.message}${ruleNote}${workspaceNote}${expiredNote}`);
+      if (finding.details?.advisory) {
+        lines.push(`      advisory: ${formatAdvisory(finding.details.advisory)}`);
+      }
+      if (finding.details?.feeds) {
+        lines.push(`      flagged by: ${finding.details.feeds.join(', ')}`);
+      }
+      for (const dependencyPath of finding.details?.dependencyPaths || []) {
+        lines.push(`      via: ${dependencyPath}`);
+      }
+      if (finding.remediation?.summary) {
+        lines.push(`      fix: ${finding.remediation.summary}`);
+      }
     });
     lines.push('');
   }
 
+  const exposure = formatExposure(report);
+  if (exposure.length) lines.push(...exposure, '');
   lines.push('Recommended next steps: remediate high-risk findings immediately, investigate medium-risk signals, and rerun scans after mitigation.');
   return lines.join('\n');
 }
@@ -133,10 +359,41 @@ async function main() {
     return;
   }
 
-  const targetDir = path.resolve(options.directory);
+  const targetPath = path.resolve(options.directory);
+  // A single file (such as a .tgz) can be scanned directly; its baseline and scan cache then live next to it.
+  const targetDir = fs.statSync(targetPath, { throwIfNoEntry: false })?.isFile() ? path.dirname(targetPath) : targetPath;
   let datasetResult;
   try {
-    datasetResult = await resolveDataset(options.dataset, { quiet: options.quiet });
+    datasetResult = await resolveDatasets(options.datasets, {
+      quiet: options.quiet,
+      ...(options.offline ? { offline: true } : {}),
+      ...(options.maxAge ? { maxAge: options.maxAge } : {}),
+      ...(options.requireSigned ? { requireSigned: true } : {}),
+      ...(options.trustedKeysPath ? { trustedKeysPath: options.trustedKeysPath } : {})
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+    return;
+  }
+
+  const baselinePath = options.baseline
+    ? path.resolve(options.baseline)
+    : path.join(targetDir, BASELINE_FILENAME);
+  let baseline = null;
+  if (!options.noBaseline || options.updateBaseline) {
+    try {
+      baseline = await loadBaseline(baselinePath);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(2);
+      return;
+    }
+  }
+
+  let ruleSet;
+  try {
+    ruleSet = await loadRuleSet(options.rules);
   } catch (err) {
     console.error(err.message);
     process.exit(2);
@@ -144,25 +401,74 @@ async function main() {
   }
 
   const dataset = buildDataset(datasetResult.entries);
-  const projectReport = await scanProject(targetDir, dataset.map, {
-    includeNodeModules: options.includeNodeModules
+  const projectReport = await scanProject(targetPath, dataset.map, {
+    includeNodeModules: options.includeNodeModules,
+    installedTree: options.installedTree,
+    gitHistory: options.gitHistory,
+    exposure: options.exposure,
+    workspace: options.workspace,
+    ruleSet,
+    obfuscationThreshold: options.obfuscationThreshold,
+    concurrency: options.concurrency,
+    cachePath: options.cache ? (options.cacheFile || defaultScanCachePath(targetDir)) : null,
+    baseline: options.noBaseline ? null : baseline
   });
 
+  if (options.updateBaseline) {
+    const allFindings = [...projectReport.findings, ...projectReport.suppressed];
+    const update = updateBaseline(baseline, allFindings, {
+      owner: options.owner,
+      justification: options.justification,
+      expires: options.expires
+    });
+    await writeBaseline(baselinePath, update.baseline);
+    console.log(`Baseline written to ${baselinePath}: ${update.baseline.suppressions.length} entr${update.baseline.suppressions.length === 1 ? 'y' : 'ies'} (${update.added} added, ${update.removed} removed).`);
+    return;
+  }
+
+  if (options.suggestFixes) {
+    const packumentSource = createPackumentSource({
+      packumentDir: options.packumentDir && path.resolve(options.packumentDir),
+      ...(options.npmCacheDir ? { npmCacheDir: path.resolve(options.npmCacheDir) } : {})
+    });
+    for (const finding of projectReport.findings) {
+      if (['manifest', 'lockfile', 'installed'].includes(finding.type) && finding.details) {
+        const remediation = await suggestFix(finding.details, dataset.map, packumentSource);
+        if (remediation) finding.remediation = remediation;
+      }
+    }
+  }
+
   const output = {
     scannedAt: new Date().toISOString(),
     targetPath: projectReport.targetPath,
+    ...(projectReport.targetFile ? { targetFile: projectReport.targetFile } : {}),
     dataset: {
       ...datasetResult.meta,
       identifier: datasetResult.identifier,
       entries: datasetResult.entries.length,
       malformed: dataset.malformed.length
     },
+    rulePacks: projectReport.rulePacks,
+    ...(projectReport.workspaces ? { workspaces: projectReport.workspaces } : {}),
+    ...(projectReport.workspaceFilter ? { workspaceFilter: projectReport.workspaceFilter } : {}),
     counts: projectReport.counts,
     findings: projectReport.findings,
-    stats: projectReport.stats
+    suppressed: projectReport.suppressed,
+    baseline: baseline && {
+      path: baseline.path,
+      exists: baseline.exists,
+      suppressed: projectReport.suppressed.length,
+      expired: projectReport.findings.filter((finding) => finding.suppression?.expired).length
+    },
+    stats: projectReport.stats,
+    ...(projectReport.installed ? { installed: projectReport.installed } : {}),
+    ...(projectReport.exposure ? { exposure: projectReport.exposure } : {})
   };
 
-  if (options.json) {
+  if (options.format === 'sarif') {
+    console.log(JSON.stringify(await buildSarifLog(output), null, 2));
+  } else if (options.format === 'json') {
     console.log(JSON.stringify(output, null, 2));
   } else {
     console.log(formatProjectReport(output));
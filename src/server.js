@@ -5,10 +5,10 @@ const {
   DEFAULT_DATASET_PATH,
   loadJsonFile,
   buildDataset,
-  scanParsedJson
+  scanContent
 } = require('./lib/scanner');
 const { DEFAULT_REMOTE_DATASET_URL } = require('./config');
-const { resolveDataset } = require('./lib/dataset');
+const { resolveDatasets } = require('./lib/dataset');
 
 const app = express();
 const upload = multer({
@@ -60,24 +60,18 @@ app.get('/api/config', (req, res) => {
 app.post('/api/scan', upload.single('target'), async (req, res) => {
   try {
     if (!req.file) {
-      res.status(400).json({ error: 'No package.json or package-lock.json file received.' });
+      res.status(400).json({ error: 'No package.json or lockfile received.' });
       return;
     }
 
-    let parsed;
-    try {
-      parsed = JSON.parse(req.file.buffer.toString('utf8'));
-    } catch (err) {
-      res.status(400).json({ error: 'Uploaded file is not valid JSON.' });
-      return;
-    }
+    const content = req.file.buffer.toString('utf8');
 
-    const rawDatasetArg = (req.body.datasetUrl || '').trim();
-    const datasetArg = rawDatasetArg.length > 0 ? rawDatasetArg : undefined;
+    // Several feeds may be given, separated by commas or whitespace.
+    const datasetArgs = String(req.body.datasetUrl || '').split(/[\s,]+/).filter(Boolean);
 
     let datasetResult;
     try {
-      datasetResult = await resolveDataset(datasetArg, { quiet: true });
+      datasetResult = await resolveDatasets(datasetArgs, { quiet: true });
     } catch (err) {
       res.status(400).json({ error: err.message });
       return;
@@ -90,7 +84,13 @@ app.post('/api/scan', upload.single('target'), async (req, res) => {
       malformed: dataset.malformed.length
     };
 
-    const result = scanParsedJson(parsed, dataset.map);
+    let result;
+    try {
+      result = scanContent(content, dataset.map, req.file.originalname);
+    } catch (err) {
+      res.status(400).json({ error: 'Uploaded file is not valid JSON or a supported lockfile.' });
+      return;
+    }
 
     res.json({
       scannedAt: new Date().toISOString(),
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildDataset, scanContent } = require('../src/lib/scanner');
+const { stripJsonc, splitBunPackageId } = require('../src/lib/bun-lock');
+const { buildSarifLog } = require('../src/lib/sarif');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'bun.lock');
+const dataset = buildDataset([{ name: '@acme/evil-color', versions: ['4.1.1', '4.1.2'] }]);
+
+test('stripJsonc drops comments and trailing commas but leaves strings alone', () => {
+  const text = '{ "a": "// not a comment, }", /* gone */ "b": [1, 2,], }';
+  assert.deepStrictEqual(JSON.parse(stripJsonc(text)), { a: '// not a comment, }', b: [1, 2] });
+});
+
+test('splitBunPackageId splits scoped ids on the last @', () => {
+  assert.deepStrictEqual(splitBunPackageId('@acme/evil-color@4.1.1'), { name: '@acme/evil-color', version: '4.1.1' });
+  assert.strictEqual(splitBunPackageId('no-version'), null);
+});
+
+test('scanContent flags top-level and nested bun.lock entries', () => {
+  const result = scanContent(fs.readFileSync(FIXTURE, 'utf8'), dataset.map, FIXTURE);
+  assert.strictEqual(result.type, 'bun-lock');
+  const hits = result.matches.map((match) => `${match.location} ${match.version}`).sort();
+  assert.deepStrictEqual(hits, ['@acme/evil-color 4.1.1', 'wrapper/@acme/evil-color 4.1.2']);
+});
+
+test('SARIF regions point into the packages map, not the workspace dependencies', async () => {
+  const { matches } = scanContent(fs.readFileSync(FIXTURE, 'utf8'), dataset.map, FIXTURE);
+  const match = matches.find((item) => item.location === '@acme/evil-color');
+  const sarif = await buildSarifLog({
+    targetPath: path.dirname(FIXTURE),
+    scannedAt: new Date().toISOString(),
+    findings: [{ severity: 'high', type: 'lockfile', message: 'hit', path: 'bun.lock', details: match }]
+  });
+  assert.deepStrictEqual(sarif.runs[0].results[0].locations[0].physicalLocation.region, { startLine: 14 });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTrustedKeys, checkFeedSignature, decodeDetachedSignature } = require('../src/lib/feed-signature');
+const { resolveDatasets } = require('../src/lib/dataset');
+
+const FEED = JSON.stringify([{ name: 'evil-toast', versions: ['19.0.2'] }]);
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-signature-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function trustedKeyFixture(t) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const dir = tempDir(t);
+  const keysPath = path.join(dir, 'trusted-keys.json');
+  const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+  fs.writeFileSync(keysPath, JSON.stringify([{ id: 'intel', publicKey: raw }]));
+  const sign = (text) => crypto.sign(null, Buffer.from(text), privateKey);
+  return { dir, keysPath, keys: await loadTrustedKeys(keysPath), sign };
+}
+
+const noDetached = async () => null;
+
+test('loadTrustedKeys returns no keys for a missing file and rejects malformed keys', async (t) => {
+  const dir = tempDir(t);
+  assert.deepStrictEqual(await loadTrustedKeys(path.join(dir, 'missing.json')), []);
+  const bad = path.join(dir, 'bad.json');
+  fs.writeFileSync(bad, JSON.stringify([{ id: 'short', publicKey: 'AAAA' }]));
+  await assert.rejects(loadTrustedKeys(bad), /Trusted key short .* is invalid/);
+});
+
+test('checkFeedSignature verifies signed envelopes and catches tampering', async (t) => {
+  const { keys, sign } = await trustedKeyFixture(t);
+  const envelope = (payload, signature) => JSON.stringify({ payload, signature: signature.toString('base64'), keyId: 'intel' });
+  assert.deepStrictEqual(await checkFeedSignature(envelope(FEED, sign(FEED)), noDetached, keys), { status: 'valid', format: 'envelope', keyId: 'intel' });
+  const tampered = await checkFeedSignature(envelope(FEED.replace('19.0.2', '19.0.3'), sign(FEED)), noDetached, keys);
+  assert.strictEqual(tampered.status, 'invalid');
+  assert.deepStrictEqual(await checkFeedSignature(FEED, noDetached, keys), { status: 'unsigned' });
+});
+
+test('detached signatures are accepted as raw bytes, base64 text or JSON', async (t) => {
+  const { keys, sign } = await trustedKeyFixture(t);
+  const signature = sign(FEED);
+  for (const detached of [signature, Buffer.from(signature.toString('base64')), Buffer.from(JSON.stringify({ signature: signature.toString('base64'), keyId: 'intel' }))]) {
+    assert.deepStrictEqual(decodeDetachedSignature(detached).signature, signature);
+    const result = await checkFeedSignature(FEED, async () => detached, keys);
+    assert.strictEqual(result.status, 'valid');
+  }
+  const wrongKey = Buffer.from(JSON.stringify({ signature: signature.toString('base64'), keyId: 'other' }));
+  assert.strictEqual((await checkFeedSignature(FEED, async () => wrongKey, keys)).status, 'invalid');
+});
+
+test('resolveDatasets fails instead of skipping feeds that are unsigned or badly signed', async (t) => {
+  const { dir, keys, sign } = await trustedKeyFixture(t);
+  const signedPath = path.join(dir, 'signed.json');
+  fs.writeFileSync(signedPath, FEED);
+  fs.writeFileSync(`${signedPath}.sig`, sign(FEED));
+  const unsignedPath = path.join(dir, 'unsigned.json');
+  fs.writeFileSync(unsignedPath, FEED);
+  const forgedPath = path.join(dir, 'forged.json');
+  fs.writeFileSync(forgedPath, FEED.replace('19.0.2', '19.0.3'));
+  fs.writeFileSync(`${forgedPath}.sig`, sign(FEED));
+  const options = { quiet: true, trustedKeys: keys, cacheDir: path.join(dir, 'cache') };
+
+  const signed = await resolveDatasets([signedPath], { ...options, requireSigned: true });
+  assert.deepStrictEqual(signed.meta.signature, { status: 'valid', format: 'detached', keyId: 'intel' });
+  await assert.rejects(resolveDatasets([unsignedPath], { ...options, requireSigned: true }), /not signed/);
+  await assert.rejects(resolveDatasets([`a=${signedPath}`, `b=${unsignedPath}`], { ...options, requireSigned: true }), /Dataset feed b failed to load/);
+  await assert.rejects(resolveDatasets([`a=${signedPath}`, `b=${forgedPath}`], options), /signature verification failed/);
+});
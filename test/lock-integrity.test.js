@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildDataset, scanContent } = require('../src/lib/scanner');
+const { mergeDatasetFeeds } = require('../src/lib/dataset');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+const DIGEST_ONLY = JSON.parse(fs.readFileSync(fixture('integrity-dataset.json'), 'utf8'));
+
+test('an entry known only by its digest is not malformed', () => {
+  const dataset = buildDataset(DIGEST_ONLY);
+  assert.deepStrictEqual(dataset.malformed, []);
+  assert.deepStrictEqual(dataset.integrity.get('sha512-ZXZpbA=='), { name: 'evil-toast' });
+});
+
+test('mergeDatasetFeeds keeps digest-only entries with their provenance', () => {
+  const [merged] = mergeDatasetFeeds([{ label: 'intel', entries: DIGEST_ONLY }]);
+  assert.deepStrictEqual(merged.versions, []);
+  assert.deepStrictEqual(merged.integrityFeeds, { 'sha512-ZXZpbA==': ['intel'] });
+  assert.deepStrictEqual(buildDataset([merged]).malformed, []);
+});
+
+test('a renamed lockfile entry with a known-malicious digest is flagged', () => {
+  const dataset = buildDataset(DIGEST_ONLY);
+  const lock = fixture('package-lock.json');
+  const { matches } = scanContent(fs.readFileSync(lock, 'utf8'), dataset.map, lock);
+  assert.strictEqual(matches.length, 1);
+  assert.strictEqual(matches[0].kind, 'lock-integrity');
+  assert.strictEqual(matches[0].knownAs, 'evil-toast');
+  assert.strictEqual(matches[0].location, 'node_modules/toast-fork');
+});
+
+test('the file scan reports integrity hits as lockfile results in SARIF', (t) => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-integrity-test-'));
+  t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+  const run = childProcess.spawnSync(process.execPath, [
+    path.join(__dirname, '..', 'src', 'index.js'),
+    '--format', 'sarif',
+    '-f', fixture('package-lock.json'),
+    '-d', fixture('integrity-dataset.json')
+  ], { encoding: 'utf8', env: { ...process.env, SHAI_HULUD_CACHE_DIR: cacheDir }, timeout: 60000 });
+  assert.strictEqual(run.status, 1, run.stderr);
+  const [result] = JSON.parse(run.stdout).runs[0].results;
+  assert.strictEqual(result.ruleId, 'shai-hulud/lockfile');
+  assert.deepStrictEqual(result.locations[0].physicalLocation.region, { startLine: 12 });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildDataset, scanContent } = require('../src/lib/scanner');
+const { parsePnpmPackageKey } = require('../src/lib/pnpm-lock');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+const dataset = buildDataset([{ name: '@acme/evil-color', versions: ['4.1.1'] }]);
+
+test('parsePnpmPackageKey handles v5, v6 and v9 keys with peer suffixes', () => {
+  assert.deepStrictEqual(parsePnpmPackageKey('/wrapper/2.0.0_react@18.2.0'), { name: 'wrapper', version: '2.0.0' });
+  assert.deepStrictEqual(parsePnpmPackageKey('/@acme/evil-color/4.1.1'), { name: '@acme/evil-color', version: '4.1.1' });
+  assert.deepStrictEqual(parsePnpmPackageKey('/wrapper@2.0.0(react@18.2.0)'), { name: 'wrapper', version: '2.0.0' });
+  assert.deepStrictEqual(parsePnpmPackageKey('@acme/evil-color@4.1.1'), { name: '@acme/evil-color', version: '4.1.1' });
+});
+
+const cases = [
+  { file: 'pnpm-lock-v5.yaml', key: '/@acme/evil-color/4.1.1', importers: ['.'] },
+  { file: 'pnpm-lock-v6.yaml', key: '/@acme/evil-color@4.1.1', importers: ['.', 'packages/web'] },
+  { file: 'pnpm-lock-v9.yaml', key: '@acme/evil-color@4.1.1', importers: ['.'] }
+];
+
+for (const { file, key, importers } of cases) {
+  test(`scanContent flags ${file} once, with the importers that reach it`, () => {
+    const result = scanContent(fs.readFileSync(fixture(file), 'utf8'), dataset.map, fixture(file));
+    assert.strictEqual(result.type, 'pnpm-lock');
+    assert.strictEqual(result.matches.length, 1);
+    const [match] = result.matches;
+    assert.strictEqual(match.kind, 'lock-installed');
+    assert.strictEqual(match.name, '@acme/evil-color');
+    assert.strictEqual(match.version, '4.1.1');
+    assert.strictEqual(match.location, key);
+    assert.deepStrictEqual(match.workspaces, importers);
+  });
+}
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readTarball } = require('../src/lib/tarball');
+
+function header(name, size, type) {
+  const block = Buffer.alloc(512);
+  block.write(name.slice(0, 100), 0, 'utf8');
+  block.write('0000644\0', 100);
+  block.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  block.write(type, 156);
+  block.write('ustar\0', 257, 'latin1');
+  block.write('00', 263, 'latin1');
+  return block;
+}
+
+function entry(name, content, type = '0') {
+  const data = Buffer.from(content);
+  const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return Buffer.concat([header(name, data.length, type), data, padding]);
+}
+
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = body.length + 1;
+  while (`${length}${body}`.length !== length) length += 1;
+  return `${length}${body}`;
+}
+
+function writeArchive(t, parts, { truncate = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tarball-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  let tar = Buffer.concat([...parts, Buffer.alloc(1024)]);
+  if (truncate) tar = tar.subarray(0, 600);
+  const file = path.join(dir, 'pkg.tgz');
+  fs.writeFileSync(file, zlib.gzipSync(tar));
+  return file;
+}
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+test('readTarball returns regular files with their hash and content', async (t) => {
+  const file = writeArchive(t, [
+    entry('package/', '', '5'),
+    entry('package/package.json', '{"name":"p"}'),
+    entry('package/../escape.js', 'nope'),
+    entry('package/bundle.js', 'console.log(1)')
+  ]);
+  const entries = await readTarball(file);
+  assert.deepStrictEqual(entries.map((item) => item.path), ['package/package.json', 'package/bundle.js']);
+  assert.strictEqual(entries[1].sha256, sha256('console.log(1)'));
+  assert.strictEqual(entries[1].content.toString(), 'console.log(1)');
+});
+
+test('readTarball applies pax and GNU long names to the next entry only', async (t) => {
+  const longName = `package/${'deep/'.repeat(30)}payload.js`;
+  const file = writeArchive(t, [
+    entry('PaxHeader', paxRecord('path', longName), 'x'),
+    entry('package/short-a.js', 'a'),
+    entry('././@LongLink', `${longName.replace('payload', 'gnu')}\0`, 'L'),
+    entry('package/short-b.js', 'b'),
+    entry('package/c.js', 'c')
+  ]);
+  const entries = await readTarball(file);
+  assert.deepStrictEqual(entries.map((item) => item.path), [longName, longName.replace('payload', 'gnu'), 'package/c.js']);
+});
+
+test('readTarball with hashOnly keeps no content', async (t) => {
+  const file = writeArchive(t, [entry('package/index.js', 'x')]);
+  const [only] = await readTarball(file, { hashOnly: true });
+  assert.strictEqual(only.content, null);
+  assert.strictEqual(only.sha256, sha256('x'));
+});
+
+test('readTarball rejects truncated archives and non-gzip files', async (t) => {
+  const truncated = writeArchive(t, [entry('package/big.js', 'x'.repeat(2000))], { truncate: true });
+  await assert.rejects(readTarball(truncated), /archive ends inside package\/big\.js/);
+  const plain = path.join(path.dirname(truncated), 'plain.tgz');
+  fs.writeFileSync(plain, 'not gzip');
+  await assert.rejects(readTarball(plain), /not a readable gzip archive/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildDataset, scanContent, unwrapBerryDescriptor } = require('../src/lib/scanner');
+const { parseBerryLockfile } = require('../src/lib/yarn-lock');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'yarn-berry.lock');
+
+test('unwrapBerryDescriptor resolves npm aliases and patch protocols', () => {
+  assert.deepStrictEqual(unwrapBerryDescriptor('color-alias@npm:evil-toast@19.0.2'), {
+    name: 'evil-toast',
+    range: '19.0.2',
+    protocol: 'npm',
+    aliasOf: 'color-alias'
+  });
+  assert.deepStrictEqual(unwrapBerryDescriptor('safe-lib@patch:safe-lib@npm%3A1.10.0#~/.yarn/patches/safe-lib.patch'), {
+    name: 'safe-lib',
+    range: '1.10.0',
+    protocol: 'patch'
+  });
+});
+
+test('parseBerryLockfile keeps versions as strings and skips __metadata', () => {
+  const entries = parseBerryLockfile(fs.readFileSync(FIXTURE, 'utf8'));
+  assert.strictEqual(entries.length, 4);
+  const patched = entries.find((entry) => entry.descriptors[0].startsWith('safe-lib@'));
+  assert.strictEqual(patched.version, '1.10.0');
+});
+
+test('scanContent flags aliased and patched entries and names the requiring workspace', () => {
+  const dataset = buildDataset([
+    { name: '@acme/evil-color', versions: ['4.1.1'] },
+    { name: 'evil-toast', versions: ['19.0.2'] },
+    { name: 'safe-lib', versions: ['1.10.0'] }
+  ]);
+  const result = scanContent(fs.readFileSync(FIXTURE, 'utf8'), dataset.map, FIXTURE);
+  assert.strictEqual(result.type, 'yarn-berry-lock');
+  const hits = result.matches.map((match) => `${match.name}@${match.version}`).sort();
+  assert.deepStrictEqual(hits, ['@acme/evil-color@4.1.1', 'evil-toast@19.0.2', 'safe-lib@1.10.0']);
+  for (const match of result.matches) {
+    assert.deepStrictEqual(match.workspaces, ['app'], match.name);
+  }
+});
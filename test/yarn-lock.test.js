@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildDataset, scanContent } = require('../src/lib/scanner');
+const { parseYarnLock } = require('../src/lib/yarn-lock');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'yarn.lock');
+const dataset = buildDataset([
+  { name: '@acme/evil-color', versions: ['4.1.1', '4.1.2'] },
+  { name: 'evil-toast', versions: ['19.0.2'] }
+]);
+
+test('parseYarnLock reads descriptors, fields and nested blocks', () => {
+  const entries = parseYarnLock(fs.readFileSync(FIXTURE, 'utf8'));
+  assert.strictEqual(entries.length, 3);
+  assert.deepStrictEqual(entries[0].descriptors, ['@acme/evil-color@^4.1.0', '@acme/evil-color@4.1.1']);
+  assert.strictEqual(entries[0].version, '4.1.1');
+  assert.strictEqual(entries[0].integrity, 'sha512-dGlueWNvbG9y');
+  assert.deepStrictEqual(entries[0].dependencies, { 'safe-lib': '^1.0.0' });
+  assert.strictEqual(entries[0].line, 5);
+});
+
+test('scanContent flags locked versions, including npm aliases', () => {
+  const result = scanContent(fs.readFileSync(FIXTURE, 'utf8'), dataset.map, FIXTURE);
+  assert.strictEqual(result.type, 'yarn-lock');
+  const hits = result.matches.map((match) => `${match.kind} ${match.name}@${match.version}`).sort();
+  assert.deepStrictEqual(hits, ['lock-installed @acme/evil-color@4.1.1', 'lock-installed evil-toast@19.0.2']);
+  const evilColor = result.matches.find((match) => match.name === '@acme/evil-color');
+  assert.strictEqual(evilColor.line, 5);
+});